@@ -5,43 +5,63 @@
 // becomes the input of the next. This allows for building complex operations
 // from simpler functions.
 
-// Example 1: Simple function composition
-function compose(...fns) {
-  return function (initialValue) {
-    return fns.reduceRight((value, fn) => fn(value), initialValue);
-  };
-}
+// compose, pipe, curry and friends are implemented once, in
+// Core JavaScript/Promises/Composition.js; the examples below use that module
+const {
+  compose,
+  pipe,
+  curry,
+  curryN,
+  partialRight,
+  _,
+  composeAsync,
+  pipeAsync
+} = require('../../Core JavaScript/Promises/Composition');
 
+// Example 1: Simple function composition
+// compose(f, g)(x) is f(g(x)): the functions run right-to-left
 const add1 = (x) => x + 1;
 const mul2 = (x) => x * 2;
 const addThenMul = compose(mul2, add1); // mul2(add1(x))
 console.log('compose(mul2, add1)(5) =', addThenMul(5)); // (5+1)*2 = 12
 // Example 2: Pipe (left-to-right composition)
-function pipe(...fns) {
-  return function (initialValue) {
-    return fns.reduce((value, fn) => fn(value), initialValue);
-  };
-}
-
+// pipe(f, g)(x) is g(f(x))
 const mulThenAdd = pipe(mul2, add1); // add1(mul2(x))
 console.log('pipe(mul2, add1)(5) =', mulThenAdd(5)); // (5*2)+1 = 11
-// Example 3: Currying (transforming functions to accept arguments one at a time)
-function curry(fn) {
-  return function curried(...args) {    
-    if (args.length >= fn.length) {
-        return fn.apply(this, args);
-    }
-    return function (...more) {
-      return curried.apply(this, args.concat(more));
-    }   
-    };  
-}
 
+// Step-level errors: a failing step is wrapped in a PipelineError that, like
+// CustomError in Core JavaScript/Resource Management/Error_Handling.js, keeps the
+// original error and a context: { step, stepName, input, reason }. A trailing
+// options object { redact } controls how the input is recorded, e.g. to hide passwords.
+const hideToken = (value) => ({ ...value, token: '[REDACTED]' });
+const requireUser = (session) => {
+  if (!session.user) throw new Error('not signed in');
+  return session.user;
+};
+try {
+  pipe(requireUser, { redact: hideToken })({ token: 'abc123' });
+} catch (err) {
+  console.log(err.message, err.context.input); // Step 0 (requireUser) failed: not signed in { token: '[REDACTED]' }
+}
+// Example 3: Currying (transforming functions to accept arguments one at a time)
+// fn.length ignores default and rest parameters, so curryN(n, fn) takes the arity
+// explicitly; curry(fn) is curryN(fn.length, fn). The placeholder `_` leaves an
+// argument open for a later call. Curried functions keep fn's name, and their
+// length is the number of arguments still missing.
 const add = (a, b) => a + b;
 const curriedAdd = curry(add);
 const addFive = curriedAdd(5);
 console.log('addFive(10) =', addFive(10)); // 15
 
+function total(...nums) {
+  return nums.reduce((acc, n) => acc + n, 0);
+}
+const total3 = curryN(3, total); // total.length is 0, so curry(total) would call it at once
+console.log('total3(1)(2)(3) =', total3(1)(2)(3)); // 6
+const subtract = (a, b) => a - b;
+console.log('curry(subtract)(_, 1)(10) =', curry(subtract)(_, 1)(10)); // 9
+console.log('partialRight(subtract, 1)(10) =', partialRight(subtract, 1)(10)); // 9
+
 // Example 4: Composing functions with multiple arguments
 // Helper to lift a function to accept the output of another
 function lift(fn) { 
@@ -58,13 +78,9 @@ const doubleSum = lift(double)(sum);
 console.log('doubleSum(2,3) =', doubleSum(2, 3)); // (2+3)*2 = 10
 
 // Example 5: Composing asynchronous functions that return promises 
-
-function composeAsync(...fns) {
-  return function (arg) {
-    return fns.reduceRight((p, fn) => p.then(fn), Promise.resolve(arg));
-  };
-}
-
+// Each step is called as step(value, { signal }); the composed function takes an
+// optional { signal, stepTimeoutMs, redact } and rejects with a PipelineError naming
+// the step that failed, was aborted or timed out (see Example 2)
 const asyncAdd1 = async (n) => n + 1;
 const asyncMul2 = async (n) => n * 2;   
 
@@ -72,21 +88,24 @@ const composedAsync = composeAsync(asyncMul2, asyncAdd1); // asyncMul2(asyncAdd1
 composedAsync(5).then((res) => console.log('composedAsync result =', res)); // (5+1)*2 = 12
 
 // Alternatively a pipeAsync (left-to-right)
-function pipeAsync(...fns) {
-  return function (arg) {
-    return fns.reduce((p, fn) => p.then(fn), Promise.resolve(arg));
-  };
-}   
-
 const pipedAsync = pipeAsync(asyncAdd1, asyncMul2); // asyncMul2(asyncAdd1(x))
 pipedAsync(5).then((res) => console.log('pipedAsync result =', res)); // (5+1)*2 = 12
 
+// Cancelling: aborting rejects the step in progress and later steps never run
+const cancelController = new AbortController();
+const slowAdd1 = (n) => new Promise((resolve) => setTimeout(() => resolve(n + 1), 20));
+pipeAsync(slowAdd1, asyncMul2)(5, { signal: cancelController.signal })
+  .catch((err) => console.log('cancelled pipeAsync =', err.message)); // Step 0 (slowAdd1) aborted, asyncMul2 never runs
+setTimeout(() => cancelController.abort(), 10);
+
 // Summary:
 // - Function composition allows building complex operations from simpler functions
 // - compose() combines functions right-to-left, pipe() left-to-right
-// - Currying transforms functions to accept arguments one at a time
+// - Currying transforms functions to accept arguments one at a time; curryN and
+//   placeholders handle variadic functions and out-of-order arguments
 // - lift() helps compose functions with multiple arguments
-// - composeAsync() and pipeAsync() enable composing async functions returning promises
+// - composeAsync() and pipeAsync() enable composing async functions returning promises,
+//   with optional AbortSignal cancellation and per-step timeouts
 // Applications:
 // - Data transformation pipelines
 // - Middleware chaining (e.g., in web frameworks)
@@ -164,19 +164,26 @@ console.log('dog2 instanceof Object:', dog2 instanceof Object); // true
 
 
 // Example 6: Memoization with max cache size
+// Cache messages go through an injectable logger (silent unless one is passed in)
+const { createLogger, silentLogger } = require('../../Intermediate JavaScript/Closures/Logger');
+const demoLogger = createLogger({ level: 'debug', prefix: '  ' });
 
-function memoizeWithMaxSize(fn, maxSize = 10) {
+function memoizeWithMaxSize(fn, maxSize = 10, { logger = silentLogger } = {}) {
   const cache = new Map();  
     return function(...args) {  
     const key = JSON.stringify(args);    
     if (cache.has(key)) {      
-      console.log(`  [cache hit] ${key}`);
-      return cache.get(key);
+      logger.debug(`[cache hit] ${key}`);
+      // Move to end (most recently used) without calling fn again
+      const cached = cache.get(key);
+      cache.delete(key);
+      cache.set(key, cached);
+      return cached;
     }    
-    console.log(`  [computing] ${fn.name}(${args.join(', ')})`);
+    logger.debug(`[computing] ${fn.name}(${args.join(', ')})`);
     const result = fn(...args);
     cache.set(key, result);
-    // Remove oldest entry if cache exceeds max size
+    // Remove least recently used entry if cache exceeds max size
     if (cache.size > maxSize) {
       const firstKey = cache.keys().next().value;
       cache.delete(firstKey);
@@ -187,7 +194,7 @@ function memoizeWithMaxSize(fn, maxSize = 10) {
 function expensiveComputation(x) {
   return x * x * x;
 }   
-const memoCompute = memoizeWithMaxSize(expensiveComputation, 3);
+const memoCompute = memoizeWithMaxSize(expensiveComputation, 3, { logger: demoLogger });
 console.log('\nMemoization with max cache size (3):');
 console.log('compute(1):', memoCompute(1)); // computing
 console.log('compute(2):', memoCompute(2)); // computing
@@ -197,8 +204,9 @@ console.log('compute(1):', memoCompute(1)); // computing again (was evicted)
 
 // Example 7: Class-Based Memoization
 class MemoizedFunction {
-  constructor(fn) {     
+  constructor(fn, { logger = silentLogger } = {}) {     
     this.fn = fn;
+    this.logger = logger;
     this.cache = new Map();
     this.hits = 0;
     this.misses = 0;
@@ -207,11 +215,11 @@ class MemoizedFunction {
     const key = JSON.stringify(args);
     if (this.cache.has(key)) {
       this.hits++;
-        console.log(`  [cache hit] ${key}`);
+        this.logger.debug(`[cache hit] ${key}`);
         return this.cache.get(key);
     }    
     this.misses++;
-    console.log(`  [computing] ${this.fn.name}(${args.join(', ')})`);
+    this.logger.debug(`[computing] ${this.fn.name}(${args.join(', ')})`);
     const result = this.fn(...args);
     this.cache.set(key, result);
     return result;
@@ -219,7 +227,7 @@ class MemoizedFunction {
 }
 
 // Example 8: Using the MemoizedFunction class
-const memoizedExpensive = new MemoizedFunction(expensiveComputation);
+const memoizedExpensive = new MemoizedFunction(expensiveComputation, { logger: demoLogger });
 console.log('\nClass-based Memoization:');
 console.log('compute(2):', memoizedExpensive.call(2)); // computing
 console.log('compute(2):', memoizedExpensive.call(2)); // cache hit
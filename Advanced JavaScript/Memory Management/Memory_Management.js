@@ -161,38 +161,29 @@ console.log('doubleSum(2,3) =', doubleSum(2, 3)); // (2+3)*2 = 10
 // --------------------------------------------------------------------
 
 // Promise composition (composing async functions)
-// A small composeAsync that chains functions returning promises
-const composeAsync = (...fns) => (arg) => fns.reduceRight((p, f) => p.then(f), Promise.resolve(arg));
+// composeAsync/pipeAsync chain functions returning promises. They live in
+// Core JavaScript/Promises/Composition.js, which also covers cancellation
+// ({ signal, stepTimeoutMs }) and the PipelineError raised for a failing step.
+const { composeAsync, pipeAsync } = require('../../Core JavaScript/Promises/Composition');
+
 const asyncAdd1 = async (n) => n + 1;
 const asyncMul2 = async (n) => n * 2;
 const composedAsync = composeAsync(asyncMul2, asyncAdd1); // asyncMul2(asyncAdd1(x))
 composedAsync(5).then((res) => console.log('composedAsync result =', res)); // (5+1)*2 = 12
 
 // Alternatively a pipeAsync (left-to-right)
-const pipeAsync = (...fns) => (arg) => fns.reduce((p, f) => p.then(f), Promise.resolve(arg));
 const pipedAsync = pipeAsync(asyncAdd1, asyncMul2); // asyncMul2(asyncAdd1(x))
 pipedAsync(5).then((res) => console.log('pipedAsync result =', res)); // (5+1)*2 = 12
 // --------------------------------------------------------------------
 
+// Middleware and memoizers below log through an injectable logger (silent unless one is passed in)
+const { createLogger, silentLogger } = require('../../Intermediate JavaScript/Closures/Logger');
+const demoLogger = createLogger({ level: 'debug', prefix: '  ' });
+
 // Middleware-style composition (Koa-like)
-// Each middleware receives context and next(), returns a Promise
-function composeMiddleware(middlewares) {
-  return function (ctx) {
-    let index = -1;
-    function dispatch(i) {
-      if (i <= index) return Promise.reject(new Error('next() called multiple times'));
-      index = i;
-        const fn = middlewares[i];
-        if (!fn) return Promise.resolve();
-        try {
-        return Promise.resolve(fn(ctx, () => dispatch(i + 1)));
-        } catch (err) {
-        return Promise.reject(err);
-        }
-    }
-    return dispatch(0);
-  };
-}
+// Each middleware receives context and next(), returns a Promise. composeMiddleware
+// is also shared with Core JavaScript/Promises/Composition.js (pass { logger } to trace it)
+const { composeMiddleware } = require('../../Core JavaScript/Promises/Composition');
 
 // Example middleware functions
 const mw1 = async (ctx, next) => {
@@ -275,16 +266,17 @@ console.log('\nModule pattern (private state):');
 Calculator.add(5, 3);        // uses private log function
 Calculator.multiply(4, 2);   // uses private log function
 console.log('Last result:', Calculator.getLastResult()); // 8
+// Memoizers log through an injectable logger (silent unless one is passed in)
 // Example 1: Basic Memoization with Closure
-function memoize(fn) {
+function memoize(fn, { logger = silentLogger } = {}) {
   const cache = {}; 
     return function(...args) {
     const key = JSON.stringify(args);
     if (key in cache) {
-      console.log(`  [cache hit] ${key}`);
+      logger.debug(`[cache hit] ${key}`);
       return cache[key];
     }
-    console.log(`  [computing] ${fn.name}(${args.join(', ')})`);
+    logger.debug(`[computing] ${fn.name}(${args.join(', ')})`);
     const result = fn(...args);
     cache[key] = result;
     return result;
@@ -298,7 +290,7 @@ function factorial(n) {
   return n * factorial(n - 1);
 }
 
-const memoFactorial = memoize(factorial);
+const memoFactorial = memoize(factorial, { logger: demoLogger });
 console.log('Basic Memoization:');
 console.log('factorial(5):', memoFactorial(5)); // computing
 console.log('factorial(5):', memoFactorial(5)); // cache hit
@@ -311,7 +303,7 @@ function add(a, b) {
   return a + b;
 }   
 
-const memoAdd = memoize(add);
+const memoAdd = memoize(add, { logger: demoLogger });
 console.log('\nMemoization with multiple args:');
 console.log('add(2, 3):', memoAdd(2, 3)); // computing  
 console.log('add(2, 3):', memoAdd(2, 3)); // cache hit
@@ -325,7 +317,7 @@ function fibonacci(n) {
   return fibonacci(n - 1) + fibonacci(n - 2);
 }
 
-const memoFib = memoize(fibonacci);
+const memoFib = memoize(fibonacci, { logger: demoLogger });
 console.log('\nFibonacci with memoization:');
 console.log('fib(10):', memoFib(10)); // computing many calls
 console.log('fib(11):', memoFib(11)); // computing fib(11), but fib(10) cached
@@ -334,15 +326,15 @@ console.log('fib(10):', memoFib(10)); // cache hit
 
 // Example 4: Memoization with Custom Cache Key
 // For complex objects, JSON.stringify may not work well
-function memoizeWithCustomKey(fn, keyGenerator) {
+function memoizeWithCustomKey(fn, keyGenerator, { logger = silentLogger } = {}) {
     const cache = {};
     return function(...args) {
     const key = keyGenerator(...args);
     if (key in cache) {
-      console.log(`  [cache hit] ${key}`);
+      logger.debug(`[cache hit] ${key}`);
       return cache[key];
     }
-    console.log(`  [computing] ${fn.name}(${args.join(', ')})`);
+    logger.debug(`[computing] ${fn.name}(${args.join(', ')})`);
     const result = fn(...args);
     cache[key] = result;
     return result;
@@ -355,8 +347,10 @@ function complexFunction(obj) {
   // Simulate an expensive computation
   return Object.keys(obj).length;
 }
+// Hand-rolled key: only handles flat objects of primitives. hashKey() in
+// Intermediate JavaScript/Closures/Memoization.js covers nesting, Maps/Sets and cycles.
 const customKeyGen = (obj) => Object.keys(obj).sort().map(k => `${k}:${obj[k]}`).join('|');
-const memoComplexFunction = memoizeWithCustomKey(complexFunction, customKeyGen);
+const memoComplexFunction = memoizeWithCustomKey(complexFunction, customKeyGen, { logger: demoLogger });
 console.log('\nMemoization with custom key:');
 console.log('complexFunction({a:1,b:2}):', memoComplexFunction({a:1,b:2})); // computing
 console.log('complexFunction({b:2,a:1}):', memoComplexFunction({b:2,a:1})); // cache hit (same content, different order)
@@ -364,17 +358,17 @@ console.log('complexFunction({a:1,b:3}):', memoComplexFunction({a:1,b:3})); // c
 
 
 // Example 5: Memoization with Expiration (TTL)
-function memoizeWithTTL(fn, ttlMs) {
+function memoizeWithTTL(fn, ttlMs, { logger = silentLogger } = {}) {
   const cache = new Map();  
     return function(...args) {
     const key = JSON.stringify(args);
     const cached = cache.get(key);
     const now = Date.now();
     if (cached && (now - cached.timestamp < ttlMs)) {
-      console.log(`  [cache hit] ${key}`);
+      logger.debug(`[cache hit] ${key}`);
       return cached.value;
     }
-    console.log(`  [computing] ${fn.name}(${args.join(', ')})`);
+    logger.debug(`[computing] ${fn.name}(${args.join(', ')})`);
     const result = fn(...args);
     cache.set(key, { value: result, timestamp: now });
     return result;
@@ -387,7 +381,7 @@ function expensiveAPI(query) {
   return `Result for ${query}`;
 }
 
-const memoExpensiveAPI = memoizeWithTTL(expensiveAPI, 3000); // 3 seconds TTL
+const memoExpensiveAPI = memoizeWithTTL(expensiveAPI, 3000, { logger: demoLogger }); // 3 seconds TTL
 console.log('\nMemoization with TTL:');
 console.log('expensiveAPI("test1"):', memoExpensiveAPI("test1")); // computing
 console.log('expensiveAPI("test1"):', memoExpensiveAPI("test1")); // cache hit
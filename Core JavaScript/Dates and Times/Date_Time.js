@@ -48,9 +48,13 @@ ipoDate.setTime(Date.parse("Aug 23, 2025 09:00:00"));
 
 
 // Example of a simple JavaScript clock function
+// The time source can be injected: with a virtual clock from Promises/Virtual_Clock.js
+// JSClock always formats the same instant
 
-function JSClock() {
-  const time = new Date();
+const { realClock, createVirtualClock } = require('../Promises/Virtual_Clock');
+
+function JSClock(clock = realClock) {
+  const time = new Date(clock.now());
   const hour = time.getHours();
   const minute = time.getMinutes();
   const second = time.getSeconds();
@@ -63,4 +67,5 @@ function JSClock() {
   temp += hour >= 12 ? " P.M." : " A.M.";
   return temp;
 }
-console.log("Current Time:", JSClock());
\ No newline at end of file
+console.log("Current Time:", JSClock());
+console.log("Frozen Time:", JSClock(createVirtualClock({ now: new Date(2025, 7, 23, 21, 5, 9).getTime() }))); // 9:05:09 P.M.
\ No newline at end of file
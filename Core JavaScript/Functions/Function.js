@@ -453,6 +453,10 @@ function sum(...args) {
 
 console.log(sum(1, 2, 3)); // Output: 6
 console.log(sum(10, 20, 30, 40, 50)); // Output: 150
+// Note: rest parameters (and parameters with defaults) are not counted in fn.length,
+// so sum.length is 0. Helpers that read fn.length, like curry(), need the arity
+// given explicitly: curryN(3, sum) in Promises/Composition.js.
+console.log(sum.length); // Output: 0
 
 // Arrow functions:
 // Arrow functions provide a more concise syntax for writing function expressions.
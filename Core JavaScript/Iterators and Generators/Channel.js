@@ -0,0 +1,271 @@
+// Channel: an async queue connecting producers and consumers
+// --------------------------------------------------------------------
+// asyncRange()/consumeAsync() in Generators.js tie one producer directly to one
+// consumer: the consumer pulls, and the producer does nothing until asked. Real
+// pipelines (read -> transform -> write) want stages that run side by side, with a
+// limit on how far a fast producer may get ahead of a slow consumer. A Channel
+// (as in Go) sits between them:
+//
+//   const ch = new Channel(2);    // buffer up to 2 values (0 = hand-off only)
+//   await ch.send(value);         // waits while the buffer is full (backpressure)
+//   const value = await ch.receive();
+//   ch.close();                   // no more sends; receivers drain what is buffered
+//   for await (const value of ch) { ... }   // ends once closed and drained
+//   const { channel, value, done } = await select([a, b]);  // whichever is ready first
+//
+// close(error) closes with an error instead: receivers get the buffered values and
+// then that error, so a failing stage can pass its failure downstream.
+
+class ChannelClosedError extends Error {
+  constructor(message = 'Channel is closed') {
+    super(message);
+    this.name = 'ChannelClosedError';
+  }
+}
+
+// Waiting receivers are { deliver(value) -> boolean, fail(error) -> boolean }; a
+// receiver registered by select() returns false once another channel served it,
+// and is then skipped
+function plainReceiver(resolve, reject) {
+  return {
+    deliver: (value) => { resolve(value); return true; },
+    fail: (error) => { reject(error); return true; }
+  };
+}
+
+class Channel {
+  constructor(capacity = 0) {
+    if (!(capacity >= 0)) throw new RangeError('capacity must be 0 or more');
+    this.capacity = capacity;
+    this.buffer = [];
+    this.senders = [];   // { value, resolve, reject } waiting for room
+    this.receivers = []; // waiting for a value
+    this.closed = false;
+    this.closeError = null;
+  }
+
+  // Number of buffered values
+  get size() {
+    return this.buffer.length;
+  }
+
+  send(value) {
+    if (this.closed) return Promise.reject(new ChannelClosedError('send on closed channel'));
+    if (this.handToReceiver(value)) return Promise.resolve();
+    if (this.buffer.length < this.capacity) {
+      this.buffer.push(value);
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => this.senders.push({ value, resolve, reject }));
+  }
+
+  receive() {
+    return new Promise((resolve, reject) => this.addReceiver(plainReceiver(resolve, reject)));
+  }
+
+  // Serves `receiver` right away when a value (or the end of the channel) is
+  // available; otherwise queues it. Returns true if it was served immediately.
+  addReceiver(receiver) {
+    if (this.buffer.length > 0) {
+      if (!receiver.deliver(this.buffer[0])) return true;
+      this.buffer.shift();
+      this.refillFromSenders();
+      return true;
+    }
+    const sender = this.senders[0];
+    if (sender) {
+      // Unbuffered hand-off (or capacity 0): take the value straight from the sender
+      if (!receiver.deliver(sender.value)) return true;
+      this.senders.shift();
+      sender.resolve();
+      return true;
+    }
+    if (this.closed) {
+      receiver.fail(this.closeError || new ChannelClosedError());
+      return true;
+    }
+    this.receivers.push(receiver);
+    return false;
+  }
+
+  removeReceiver(receiver) {
+    const index = this.receivers.indexOf(receiver);
+    if (index !== -1) this.receivers.splice(index, 1);
+  }
+
+  handToReceiver(value) {
+    while (this.receivers.length > 0) {
+      if (this.receivers.shift().deliver(value)) return true;
+    }
+    return false;
+  }
+
+  refillFromSenders() {
+    while (this.buffer.length < this.capacity && this.senders.length > 0) {
+      const sender = this.senders.shift();
+      this.buffer.push(sender.value);
+      sender.resolve();
+    }
+  }
+
+  // Pending sends are rejected; buffered values can still be received
+  close(error) {
+    if (this.closed) return;
+    this.closed = true;
+    this.closeError = error || null;
+    for (const sender of this.senders.splice(0)) sender.reject(new ChannelClosedError('channel closed before the value was received'));
+    for (const receiver of this.receivers.splice(0)) receiver.fail(this.closeError || new ChannelClosedError());
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (;;) {
+      let value;
+      try {
+        value = await this.receive();
+      } catch (err) {
+        if (err instanceof ChannelClosedError) return;
+        throw err;
+      }
+      yield value;
+    }
+  }
+
+  // Feeds an (async) iterable into a new channel and closes it at the end; an error
+  // from the iterable closes the channel with that error
+  static from(iterable, capacity = 0) {
+    const channel = new Channel(capacity);
+    (async () => {
+      try {
+        for await (const value of iterable) await channel.send(value);
+        channel.close();
+      } catch (err) {
+        channel.close(err);
+      }
+    })();
+    return channel;
+  }
+}
+
+// select(channels): receives from whichever channel has a value first and resolves
+// with { channel, index, value, done }. Only that channel gives up a value; the
+// others are untouched. done is true when the chosen channel is closed and drained
+// (a closed channel is always "ready", so drop it from the list). A channel closed
+// with an error rejects with that error. An empty list rejects with a TypeError,
+// since nothing could ever be received from it.
+function select(channels) {
+  if (channels.length === 0) return Promise.reject(new TypeError('select() needs at least one channel'));
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const registered = [];
+    const finish = () => {
+      settled = true;
+      registered.forEach(({ channel, receiver }) => channel.removeReceiver(receiver));
+    };
+
+    for (const [index, channel] of channels.entries()) {
+      const receiver = {
+        deliver(value) {
+          if (settled) return false;
+          finish();
+          resolve({ channel, index, value, done: false });
+          return true;
+        },
+        fail(error) {
+          if (settled) return false;
+          finish();
+          if (error instanceof ChannelClosedError) resolve({ channel, index, value: undefined, done: true });
+          else reject(error);
+          return true;
+        }
+      };
+      if (channel.addReceiver(receiver)) break; // served right away: do not queue on the rest
+      registered.push({ channel, receiver });
+    }
+  });
+}
+
+// stage(input, fn, { capacity }): a pipeline step running on its own. Reads every
+// value from `input`, sends await fn(value) to the returned channel, and closes it
+// when input ends. If fn throws (or input was closed with an error) the output is
+// closed with that error, so the failure reaches the end of the pipeline.
+function stage(input, fn, { capacity = 0 } = {}) {
+  const output = new Channel(capacity);
+  (async () => {
+    try {
+      for await (const value of input) await output.send(await fn(value));
+      output.close();
+    } catch (err) {
+      output.close(err);
+    }
+  })();
+  return output;
+}
+
+// Run demos when invoked directly via node
+if (typeof require !== 'undefined' && require.main === module) {
+  const { delay } = require('../Promises/Virtual_Clock');
+
+  (async () => {
+    // Backpressure: with room for 2 values, the producer can only run 2 ahead
+    const events = [];
+    const jobs = new Channel(2);
+    const producer = (async () => {
+      for (let i = 1; i <= 5; i++) {
+        await jobs.send(i);
+        events.push(`sent ${i} (buffered ${jobs.size})`);
+      }
+      jobs.close();
+    })();
+    for await (const job of jobs) {
+      events.push(`got ${job}`);
+      await delay(10); // slow consumer
+    }
+    await producer;
+    console.log(events);
+    // sends 1-3 complete at once (2 buffered + 1 handed over), later sends wait for the consumer
+
+    // A send on a closed channel is an error, and so is a receive once it is drained
+    await jobs.send(6).catch(err => console.log(`${err.name}: ${err.message}`)); // ChannelClosedError: send on closed channel
+    await jobs.receive().catch(err => console.log(`${err.name}: ${err.message}`)); // ChannelClosedError: Channel is closed
+
+    // select: take from whichever channel is ready first
+    const fast = new Channel();
+    const slow = new Channel();
+    (async () => { await delay(5); await fast.send('fast 1'); await delay(5); await fast.send('fast 2'); fast.close(); })();
+    (async () => { await delay(12); await slow.send('slow 1'); slow.close(); })();
+    const open = [fast, slow];
+    const selected = [];
+    while (open.length > 0) {
+      const { channel, value, done } = await select(open);
+      if (done) open.splice(open.indexOf(channel), 1);
+      else selected.push(value);
+    }
+    console.log('select order =', selected); // ['fast 1', 'fast 2', 'slow 1']
+    await select(open).catch(err => console.log(`${err.name}: ${err.message}`)); // TypeError: select() needs at least one channel
+
+    // ETL: extract -> transform -> load, each stage running concurrently
+    async function* extractRows() {
+      for (let id = 1; id <= 4; id++) {
+        await delay(5);
+        yield { id, amount: id * 10 };
+      }
+    }
+    const rows = Channel.from(extractRows(), 1);
+    const priced = stage(rows, async (row) => ({ ...row, withTax: row.amount * 1.2 }));
+    const checked = stage(priced, (row) => {
+      if (row.id === 4) throw new Error(`row ${row.id} failed validation`);
+      return row;
+    });
+    const loaded = [];
+    try {
+      for await (const row of checked) loaded.push(row.id);
+    } catch (err) {
+      console.log('etl stopped:', err.message, 'after loading', loaded); // row 4 failed validation after loading [1, 2, 3]
+    }
+  })();
+}
+
+// Export utilities for reuse
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Channel, ChannelClosedError, select, stage };
+}
@@ -78,6 +78,7 @@ function* outer() {
 console.log('delegate yield* =>', [...outer()]); // [1, 'a', 'b', 2]
 
 // COMPOSITION: build pipelines of generators (lazy transform)
+// Each stage adds an iterator per pipeline; Transducers.js fuses the stages into one pass
 const { mapGen, filterGen } = require('./composeUtils');
 
 const nums = range(1, 10);
@@ -95,6 +96,7 @@ async function* asyncRange(n) {
 	}
 }
 
+// (Channel.js lets a producer run ahead of its consumer, with a bounded buffer)
 async function consumeAsync() {
 	const results = [];
 	for await (const x of asyncRange(5)) {
@@ -0,0 +1,252 @@
+// Transducers: fused map/filter/reduce pipelines
+// --------------------------------------------------------------------
+// Chaining array methods (xs.map(f).filter(p)) allocates a new array per stage, and
+// chaining generators (mapGen(filterGen(xs, p), f)) adds an iterator object and a
+// next() call per stage per item. A transducer transforms the *reducer* instead of
+// the data, so a whole pipeline collapses into one reducer that visits every item
+// exactly once, with no intermediate collections.
+//
+// A reducer is an object { step(acc, value) -> acc, result(acc) -> acc }.
+// A transducer is a function reducer -> reducer, so transducers compose with the
+// ordinary compose() from Promises/Composition.js:
+//   const xf = compose(map(x => x * 2), filter(x => x > 4), take(3));
+// Note the order: data flows left-to-right through compose's arguments (the
+// leftmost transducer wraps all the others, so it sees each value first).
+//
+// Runners:
+//   transduce(xf, reducer, init, source)        arrays, typed arrays, any iterable
+//   transduceAsync(xf, reducer, init, source)   async iterables too (for await)
+//   into(target, xf, source)                    collect into an array or Set
+//   sequence(xf, source) / sequenceAsync(...)   lazy: a generator of output values
+//
+// A step can stop the whole run early by returning reduced(acc) (take() does this);
+// the runners then stop pulling from the source, which also closes generators.
+
+const REDUCED = Symbol('reduced');
+
+const reduced = (value) => ({ [REDUCED]: true, value });
+const isReduced = (acc) => acc !== null && typeof acc === 'object' && acc[REDUCED] === true;
+const ensureReduced = (acc) => (isReduced(acc) ? acc : reduced(acc));
+const unreduced = (acc) => (isReduced(acc) ? acc.value : acc);
+
+// A plain (acc, value) => acc function is accepted wherever a reducer is expected
+const toReducer = (reducer) => (
+  typeof reducer === 'function' ? { step: reducer, result: (acc) => acc } : reducer
+);
+
+// --------------------------------------------------------------------
+// Transducers
+const map = (fn) => (rf) => ({
+  step: (acc, value) => rf.step(acc, fn(value)),
+  result: (acc) => rf.result(acc)
+});
+
+const filter = (pred) => (rf) => ({
+  step: (acc, value) => (pred(value) ? rf.step(acc, value) : acc),
+  result: (acc) => rf.result(acc)
+});
+
+// State lives inside the reducer, so every run of the same xf starts fresh
+const take = (n) => (rf) => {
+  let taken = 0;
+  return {
+    step(acc, value) {
+      if (taken >= n) return ensureReduced(acc);
+      taken++;
+      const next = rf.step(acc, value);
+      return taken >= n ? ensureReduced(next) : next;
+    },
+    result: (acc) => rf.result(acc)
+  };
+};
+
+// Drops consecutive duplicates (compared with Object.is on keyFn(value)), like `uniq`
+const dedupe = (keyFn = (value) => value) => (rf) => {
+  let hasPrevious = false;
+  let previous;
+  return {
+    step(acc, value) {
+      const key = keyFn(value);
+      if (hasPrevious && Object.is(key, previous)) return acc;
+      hasPrevious = true;
+      previous = key;
+      return rf.step(acc, value);
+    },
+    result: (acc) => rf.result(acc)
+  };
+};
+
+// Groups consecutive values with the same fn(value) into arrays:
+// partitionBy(n => n > 0) over [1, 2, -1, 3] -> [[1, 2], [-1], [3]]
+// The last group is only complete when the source ends, so it is flushed in result()
+const partitionBy = (fn) => (rf) => {
+  let group = [];
+  let groupKey;
+  return {
+    step(acc, value) {
+      const key = fn(value);
+      if (group.length > 0 && !Object.is(key, groupKey)) {
+        const full = group;
+        group = [];
+        acc = rf.step(acc, full);
+        if (isReduced(acc)) return acc;
+      }
+      groupKey = key;
+      group.push(value);
+      return acc;
+    },
+    result(acc) {
+      if (group.length > 0) {
+        const last = group;
+        group = [];
+        acc = unreduced(rf.step(acc, last));
+      }
+      return rf.result(acc);
+    }
+  };
+};
+
+// --------------------------------------------------------------------
+// Runners
+function transduce(xf, reducer, init, source) {
+  const rf = xf(toReducer(reducer));
+  let acc = init;
+  if (Array.isArray(source) || ArrayBuffer.isView(source)) {
+    // Indexed loop: avoids the iterator protocol for arrays and typed arrays
+    for (let i = 0; i < source.length; i++) {
+      acc = rf.step(acc, source[i]);
+      if (isReduced(acc)) break;
+    }
+  } else {
+    for (const value of source) {
+      acc = rf.step(acc, value);
+      if (isReduced(acc)) break;
+    }
+  }
+  return rf.result(unreduced(acc));
+}
+
+async function transduceAsync(xf, reducer, init, source) {
+  const rf = xf(toReducer(reducer));
+  let acc = init;
+  for await (const value of source) {
+    acc = rf.step(acc, value);
+    if (isReduced(acc)) break;
+  }
+  return rf.result(unreduced(acc));
+}
+
+const pushInto = (acc, value) => { acc.push(value); return acc; };
+const addInto = (acc, value) => acc.add(value);
+
+function into(target, xf, source) {
+  if (target instanceof Set) return transduce(xf, addInto, target, source);
+  if (Array.isArray(target)) return transduce(xf, pushInto, target, source);
+  throw new TypeError('into() supports arrays and Sets as targets');
+}
+
+// Lazy runners: each pulled source value may produce zero or more outputs, which are
+// buffered by a pushing reducer and yielded before the next value is pulled
+function* sequence(xf, source) {
+  const rf = xf(toReducer(pushInto));
+  const buffer = [];
+  for (const value of source) {
+    const done = isReduced(rf.step(buffer, value));
+    yield* buffer.splice(0);
+    if (done) break;
+  }
+  rf.result(buffer);
+  yield* buffer.splice(0);
+}
+
+async function* sequenceAsync(xf, source) {
+  const rf = xf(toReducer(pushInto));
+  const buffer = [];
+  for await (const value of source) {
+    const done = isReduced(rf.step(buffer, value));
+    yield* buffer.splice(0);
+    if (done) break;
+  }
+  rf.result(buffer);
+  yield* buffer.splice(0);
+}
+
+// Run demos when invoked directly via node
+if (typeof require !== 'undefined' && require.main === module) {
+  const { performance } = require('node:perf_hooks');
+  const { compose } = require('../Promises/Composition');
+
+  const xf = compose(
+    map((n) => n * 3),
+    filter((n) => n % 2 === 0),
+    take(4)
+  );
+  console.log('into([], xf, 1..10) =', into([], xf, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10])); // [6, 12, 18, 24]
+  console.log('sum via transduce =', transduce(xf, (total, n) => total + n, 0, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10])); // 60
+
+  // Any iterable works; take() stops pulling, so an infinite generator is fine
+  function* naturals() {
+    let n = 1;
+    while (true) yield n++;
+  }
+  console.log('from an infinite generator =', into([], xf, naturals())); // [6, 12, 18, 24]
+  console.log('lazily =', [...sequence(compose(map((n) => n * n), take(3)), naturals())]); // [1, 4, 9]
+
+  // Typed arrays are read with an indexed loop, no copying
+  const readings = new Float64Array([0.5, 0.5, 0.7, 0.7, 0.7, -0.2, -0.4, 0.9]);
+  console.log('dedupe =', into([], dedupe(), readings)); // [0.5, 0.7, -0.2, -0.4, 0.9]
+  console.log('partitionBy(sign) =', into([], partitionBy(Math.sign), readings)); // [[0.5, 0.5, 0.7, 0.7, 0.7], [-0.2, -0.4], [0.9]]
+  console.log('into(new Set()) =', into(new Set(), map(Math.round), readings)); // Set { 1, 0 } (Set treats -0 and 0 as equal)
+
+  // Async iterables (streams, paginated APIs) go through transduceAsync / sequenceAsync
+  async function* ticks(n) {
+    for (let i = 0; i < n; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      yield i;
+    }
+  }
+  (async () => {
+    const words = compose(map((i) => (i < 3 ? 'low' : 'high')), dedupe());
+    console.log('transduceAsync =', await transduceAsync(words, pushInto, [], ticks(6))); // ['low', 'high']
+    const batches = [];
+    for await (const batch of sequenceAsync(partitionBy((i) => Math.floor(i / 2)), ticks(5))) batches.push(batch);
+    console.log('sequenceAsync batches =', batches); // [[0, 1], [2, 3], [4]]
+
+    // Benchmark: the same map -> filter -> map -> sum pipeline three ways.
+    // Timings vary by machine; the transducer avoids both the intermediate arrays
+    // of the chained methods and the per-stage iterators of the generator chain.
+    function* mapGen(gen, fn) { for (const v of gen) yield fn(v); }
+    function* filterGen(gen, pred) { for (const v of gen) if (pred(v)) yield v; }
+
+    const data = Float64Array.from({ length: 300000 }, (_, i) => i);
+    const triple = (n) => n * 3;
+    const isEven = (n) => n % 2 === 0;
+    const inc = (n) => n + 1;
+    const plus = (a, b) => a + b;
+    const candidates = {
+      'chained array methods': () => Array.from(data).map(triple).filter(isEven).map(inc).reduce(plus, 0),
+      'chained generators': () => {
+        let total = 0;
+        for (const v of mapGen(filterGen(mapGen(data, triple), isEven), inc)) total += v;
+        return total;
+      },
+      transducer: () => transduce(compose(map(triple), filter(isEven), map(inc)), plus, 0, data)
+    };
+    for (const [label, run] of Object.entries(candidates)) {
+      run(); // warm up
+      const start = performance.now();
+      let result;
+      for (let i = 0; i < 5; i++) result = run();
+      console.log(`${label.padEnd(22)} ${((performance.now() - start) / 5).toFixed(2)}ms/run result=${result}`);
+    }
+  })();
+}
+
+// Export utilities for reuse
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    map, filter, take, dedupe, partitionBy,
+    transduce, transduceAsync, into, sequence, sequenceAsync,
+    reduced, isReduced
+  };
+}
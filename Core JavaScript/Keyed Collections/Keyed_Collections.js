@@ -81,8 +81,10 @@ console.log('weakSet.has(obj) =', weakSet.has(obj)); // true
 // -------------------- Advanced Patterns --------------------
 
 // 1. Map for Memoization (caching expensive function results)
-function memoize(fn) {
-	const cache = new Map();
+// Any object with Map's get/set/has/delete/clear/size/entries can be passed as
+// the store, e.g. an LRU cache or a TTL cache instead of the default Map.
+function memoize(fn, { store = new Map() } = {}) {
+	const cache = store;
 	return function(arg) {
 		if (cache.has(arg)) {
 			return cache.get(arg);
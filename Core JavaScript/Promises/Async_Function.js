@@ -8,20 +8,24 @@
 
 
 
-function resolveAfter2Seconds() {
+// Both helpers take an optional { clock } (see Virtual_Clock.js); the demos below
+// use real timers
+const { realClock } = require('./Virtual_Clock');
+
+function resolveAfter2Seconds({ clock = realClock } = {}) {
   console.log("starting slow promise");
   return new Promise((resolve) => {
-    setTimeout(() => {
+    clock.setTimeout(() => {
       resolve("slow");
       console.log("slow promise is done");
     }, 2000);
   });
 }
 
-function resolveAfter1Second() {
+function resolveAfter1Second({ clock = realClock } = {}) {
   console.log("starting fast promise");
   return new Promise((resolve) => {
-    setTimeout(() => {
+    clock.setTimeout(() => {
       resolve("fast");
       console.log("fast promise is done");
     }, 1000);
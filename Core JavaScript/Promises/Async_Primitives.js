@@ -0,0 +1,360 @@
+// Async synchronization primitives
+// --------------------------------------------------------------------
+// Await_Function.js shows that every await lets other code run in between. Most
+// of the time that is what we want, but some work must not interleave: two
+// requests refreshing the same token, writes to one file, a pool of 3 connections.
+// These primitives coordinate async functions the way locks coordinate threads:
+//
+//   Deferred          a promise plus its resolve/reject, to settle from outside
+//   Mutex             one holder at a time; lock() returns a handle to release
+//   Semaphore(n)      up to n holders at a time
+//   CountDownLatch(n) wait() resolves once countDown() has been called n times
+//   Barrier(n)        n parties wait() for each other, then all continue (reusable)
+//   once(fn)          run an async initializer once; every caller shares the result
+//
+// Fairness: waiters are served strictly first come, first served. A released
+// lock/permit is handed straight to the next waiter, so a newcomer calling
+// lock() at that moment cannot jump the queue.
+// Cancellation: every wait takes { signal }. Aborting rejects that wait with
+// signal.reason and removes it from the queue without taking a permit.
+//
+// Lock handles release on handle.release() or handle[Symbol.dispose](), so with
+// Explicit Resource Management (see Resource Management/Resource_Management.js):
+//   { using lock = await mutex.lock(); ...critical section... }  // released at block end
+
+class Deferred {
+  constructor() {
+    this.state = 'pending';
+    this.promise = new Promise((resolve, reject) => {
+      this.resolve = (value) => {
+        if (this.state === 'pending') this.state = 'fulfilled';
+        resolve(value);
+      };
+      this.reject = (reason) => {
+        if (this.state === 'pending') this.state = 'rejected';
+        reject(reason);
+      };
+    });
+  }
+}
+
+// FIFO queue of waiters shared by the primitives below
+class WaitQueue {
+  constructor() {
+    this.waiters = [];
+  }
+
+  get length() {
+    return this.waiters.length;
+  }
+
+  // Resolves when wakeOne()/wakeAll() reaches this waiter
+  wait({ signal } = {}) {
+    if (signal && signal.aborted) return Promise.reject(signal.reason);
+    const deferred = new Deferred();
+    const waiter = { deferred, signal, onAbort: null };
+    if (signal) {
+      waiter.onAbort = () => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        deferred.reject(signal.reason);
+      };
+      signal.addEventListener('abort', waiter.onAbort, { once: true });
+    }
+    this.waiters.push(waiter);
+    return deferred.promise;
+  }
+
+  wakeOne(value) {
+    const waiter = this.waiters.shift();
+    if (!waiter) return false;
+    if (waiter.signal) waiter.signal.removeEventListener('abort', waiter.onAbort);
+    waiter.deferred.resolve(value);
+    return true;
+  }
+
+  wakeAll(value) {
+    while (this.wakeOne(value));
+  }
+}
+
+// Returned by Semaphore#acquire and Mutex#lock; releasing twice is a no-op
+function releaseHandle(release) {
+  let released = false;
+  const handle = {
+    release() {
+      if (released) return;
+      released = true;
+      release();
+    },
+    [Symbol.dispose]() {
+      handle.release();
+    }
+  };
+  return handle;
+}
+
+class Semaphore {
+  constructor(permits) {
+    if (!(permits >= 1)) throw new RangeError('permits must be at least 1');
+    this.permits = permits;
+    this.queue = new WaitQueue();
+  }
+
+  get available() {
+    return this.permits;
+  }
+
+  get waiting() {
+    return this.queue.length;
+  }
+
+  acquire({ signal } = {}) {
+    if (signal && signal.aborted) return Promise.reject(signal.reason);
+    if (this.permits > 0 && this.queue.length === 0) {
+      this.permits--;
+      return Promise.resolve(releaseHandle(() => this.release()));
+    }
+    return this.queue.wait({ signal }).then(() => releaseHandle(() => this.release()));
+  }
+
+  // Returns a handle, or null when no permit is free right now
+  tryAcquire() {
+    if (this.permits === 0 || this.queue.length > 0) return null;
+    this.permits--;
+    return releaseHandle(() => this.release());
+  }
+
+  release() {
+    // Hand the permit to the next waiter instead of returning it to the pool
+    if (!this.queue.wakeOne()) this.permits++;
+  }
+
+  // acquire, run fn, release (also when fn throws)
+  async runExclusive(fn, { signal } = {}) {
+    const handle = await this.acquire({ signal });
+    try {
+      return await fn();
+    } finally {
+      handle.release();
+    }
+  }
+}
+
+class Mutex {
+  constructor() {
+    this.semaphore = new Semaphore(1);
+  }
+
+  get isLocked() {
+    return this.semaphore.available === 0;
+  }
+
+  lock({ signal } = {}) {
+    return this.semaphore.acquire({ signal });
+  }
+
+  tryLock() {
+    return this.semaphore.tryAcquire();
+  }
+
+  runExclusive(fn, { signal } = {}) {
+    return this.semaphore.runExclusive(fn, { signal });
+  }
+}
+
+class CountDownLatch {
+  constructor(count) {
+    if (!(count >= 0)) throw new RangeError('count must be 0 or more');
+    this.count = count;
+    this.queue = new WaitQueue();
+  }
+
+  countDown() {
+    if (this.count === 0) return;
+    this.count--;
+    if (this.count === 0) this.queue.wakeAll();
+  }
+
+  wait({ signal } = {}) {
+    if (this.count === 0) return Promise.resolve();
+    return this.queue.wait({ signal });
+  }
+}
+
+// Cyclic: once `parties` waits have arrived they are all released with the
+// generation number and the barrier starts over. An aborted wait leaves the
+// barrier, so the others keep waiting for a replacement.
+class Barrier {
+  constructor(parties) {
+    if (!(parties >= 1)) throw new RangeError('parties must be at least 1');
+    this.parties = parties;
+    this.generation = 0;
+    this.queue = new WaitQueue();
+  }
+
+  get waiting() {
+    return this.queue.length;
+  }
+
+  wait({ signal } = {}) {
+    if (signal && signal.aborted) return Promise.reject(signal.reason);
+    if (this.queue.length + 1 < this.parties) return this.queue.wait({ signal });
+    const generation = this.generation++;
+    this.queue.wakeAll(generation);
+    return Promise.resolve(generation);
+  }
+}
+
+// once(fn): the first call runs fn with its arguments (and `this`); later and
+// concurrent calls get the same promise, whatever they pass. A rejection is not
+// kept, so the next call tries again (like Go's sync.Once, but retrying failed
+// initialization). A trailing { signal } argument lets that one caller stop waiting
+// without cancelling fn for the rest; pipeAsync passes one to every step, which is
+// how Composition.js's onceAsync(fn) uses this.
+function once(fn) {
+  let pending = null;
+  return function call(...args) {
+    if (!pending) {
+      pending = Promise.resolve().then(() => fn.apply(this, args));
+      pending.catch(() => { pending = null; });
+    }
+    const last = args[args.length - 1];
+    const signal = last && typeof last === 'object' ? last.signal : undefined;
+    if (!signal) return pending;
+    if (signal.aborted) return Promise.reject(signal.reason);
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      pending.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  };
+}
+
+// Run demos when invoked directly via node
+if (typeof require !== 'undefined' && require.main === module) {
+  const { delay } = require('./Virtual_Clock');
+
+  (async () => {
+    // Deferred: settle a promise from outside its executor
+    const ready = new Deferred();
+    setTimeout(() => ready.resolve('config loaded'), 5);
+    console.log('deferred =', await ready.promise, ready.state); // config loaded fulfilled
+
+    // Mutex: without it the two read-modify-write sequences interleave
+    let balance = 100;
+    const withdraw = async (amount) => {
+      const current = balance;
+      await delay(5); // e.g. a database round trip
+      balance = current - amount;
+    };
+    await Promise.all([withdraw(30), withdraw(50)]);
+    console.log('without mutex balance =', balance); // 50 (lost update; should be 20)
+
+    balance = 100;
+    const mutex = new Mutex();
+    const safeWithdraw = async (amount) => {
+      const lock = await mutex.lock(); // `using lock = await mutex.lock()` with explicit resource management
+      try {
+        await withdraw(amount);
+      } finally {
+        lock[Symbol.dispose]();
+      }
+    };
+    await Promise.all([safeWithdraw(30), safeWithdraw(50)]);
+    console.log('with mutex balance =', balance); // 20
+
+    // Fairness: waiters get the lock in arrival order, and a late tryLock() cannot barge in
+    const order = [];
+    const first = await mutex.lock();
+    const waiters = ['a', 'b', 'c'].map(name => mutex.runExclusive(async () => { order.push(name); await delay(1); }));
+    first.release();
+    console.log('tryLock right after release =', mutex.tryLock()); // null ('a' already owns it)
+    await Promise.all(waiters);
+    console.log('lock order =', order); // ['a', 'b', 'c']
+
+    // Cancellation: an aborted lock() leaves the queue, and an already aborted
+    // signal never gets the lock, even when it is free
+    const holder = await mutex.lock();
+    const gaveUp = new AbortController();
+    const waiting = mutex.lock({ signal: gaveUp.signal });
+    gaveUp.abort(new Error('request cancelled'));
+    console.log('aborted lock =', await waiting.catch(err => err.message)); // request cancelled
+    holder.release();
+    let ran = false;
+    await mutex.runExclusive(() => { ran = true; }, { signal: gaveUp.signal }).catch(() => {});
+    console.log('runExclusive with aborted signal ran =', ran, 'locked =', mutex.isLocked); // false false
+
+    // Semaphore: at most 2 downloads at once; an aborted waiter gives up its place
+    const downloads = new Semaphore(2);
+    let active = 0;
+    let peak = 0;
+    const download = (name, { signal } = {}) => downloads.runExclusive(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(10);
+      active--;
+      return name;
+    }, { signal });
+    const cancel = new AbortController();
+    const results = Promise.allSettled([
+      download('file-1'), download('file-2'), download('file-3', { signal: cancel.signal }), download('file-4')
+    ]);
+    cancel.abort(new Error('user cancelled file-3'));
+    console.log('semaphore =', (await results).map(r => r.value || r.reason.message), 'peak =', peak);
+    // ['file-1', 'file-2', 'user cancelled file-3', 'file-4'] peak = 2
+
+    // Fairness: with both permits taken, waiters start in arrival order
+    const slots = new Semaphore(2);
+    const held = [await slots.acquire(), await slots.acquire()];
+    const startOrder = [];
+    const queued = ['q1', 'q2', 'q3', 'q4'].map(name => slots.runExclusive(async () => { startOrder.push(name); await delay(1); }));
+    held.forEach(handle => handle.release());
+    await Promise.all(queued);
+    console.log('semaphore start order =', startOrder); // ['q1', 'q2', 'q3', 'q4']
+
+    // CountDownLatch: continue once 3 services report ready
+    const started = new CountDownLatch(3);
+    ['db', 'cache', 'queue'].forEach((service, i) => setTimeout(() => started.countDown(), 3 * (i + 1)));
+    await started.wait();
+    console.log('latch: all services started, count =', started.count); // 0
+    const impatient = new AbortController();
+    setTimeout(() => impatient.abort(new Error('gave up waiting')), 5);
+    await new CountDownLatch(1).wait({ signal: impatient.signal }).catch(err => console.log('latch wait:', err.message)); // gave up waiting
+
+    // Barrier: workers finish each phase together before any starts the next
+    const barrier = new Barrier(3);
+    const phases = [];
+    await Promise.all(['w1', 'w2', 'w3'].map(async (worker, i) => {
+      for (let phase = 1; phase <= 2; phase++) {
+        await delay(2 * (i + 1));
+        phases.push(`${worker}:${phase}`);
+        await barrier.wait();
+      }
+    }));
+    console.log('barrier phases =', phases); // all ':1' entries come before any ':2'
+
+    // A party that aborts leaves the barrier; the others wait for a replacement
+    const meeting = new Barrier(3);
+    const quitter = new AbortController();
+    const arrived = meeting.wait();
+    const leaver = meeting.wait({ signal: quitter.signal });
+    quitter.abort(new Error('left the barrier'));
+    console.log('barrier abort =', await leaver.catch(err => err.message), 'waiting =', meeting.waiting); // left the barrier waiting = 1
+    await Promise.all([arrived, meeting.wait(), meeting.wait()]);
+    console.log('barrier released after a replacement arrived, generation =', meeting.generation); // 1
+
+    // once: three concurrent callers, one connection attempt
+    let connects = 0;
+    const connect = once(async () => { connects++; await delay(5); return 'connection'; });
+    const leaving = new AbortController();
+    const callers = Promise.allSettled([connect(), connect({ signal: leaving.signal }), connect()]);
+    leaving.abort(new Error('caller left'));
+    console.log('once =', (await callers).map(r => r.value || r.reason.message), 'connects =', connects);
+    // ['connection', 'caller left', 'connection'] connects = 1
+  })();
+}
+
+// Export utilities for reuse
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Deferred, Mutex, Semaphore, CountDownLatch, Barrier, once };
+}
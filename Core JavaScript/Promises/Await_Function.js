@@ -53,15 +53,15 @@ Not allowed in plain scripts (non-module top-level) in many environments.
 
 // ---------------- runnable examples (no external network) ----------------
 
-// Helper: small delay that returns a Promise
-function delay(value, ms = 100) {
-	return new Promise((resolve) => setTimeout(() => resolve(value), ms));
-}
+const { pMap } = require('./Task_Pool');
+// Helper: delay(ms, { value }) resolves with value after ms
+// (pass { clock } to run it on virtual time; see Virtual_Clock.js)
+const { delay } = require('./Virtual_Clock');
 
 // Basic example
 async function basicAwaitExample() {
 	console.log('basicAwaitExample: start');
-	const result = await delay('hello', 100);
+	const result = await delay(100, { value: 'hello' });
 	console.log('basicAwaitExample: awaited result =', result);
 }
 basicAwaitExample();
@@ -77,8 +77,8 @@ async function errorHandlingExample() {
 errorHandlingExample();
 
 // Sequential vs parallel example
-function fetchA() { return delay('A', 200); }
-function fetchB() { return delay('B', 150); }
+function fetchA() { return delay(200, { value: 'A' }); }
+function fetchB() { return delay(150, { value: 'B' }); }
 
 async function sequentialVsParallel() {
 	const t0 = Date.now();
@@ -94,7 +94,7 @@ sequentialVsParallel();
 
 // Concurrency in loops example
 async function process(item) {
-	await delay(null, 50);
+	await delay(50);
 	return `processed:${item}`;
 }
 
@@ -111,6 +111,11 @@ async function loopConcurrency() {
 	const tasks = items.map(it => process(it));
 	const parResults = await Promise.all(tasks);
 	console.log('loopConcurrency: parallel results', parResults, 'time', Date.now() - parStart, 'ms');
+
+	// Bounded middle ground: at most 2 in flight (see Task_Pool.js for pLimit and TaskQueue)
+	const boundedStart = Date.now();
+	const boundedResults = await pMap(items, process, { concurrency: 2 });
+	console.log('loopConcurrency: bounded results', boundedResults, 'time', Date.now() - boundedStart, 'ms');
 }
 loopConcurrency();
 
@@ -121,7 +126,11 @@ async function awaitNonPromise() {
 }
 awaitNonPromise();
 
+// Because every await lets other code run, shared state can change between two
+// awaits; Async_Primitives.js has Mutex, Semaphore and friends to prevent that.
+
 // Microtask note: await continuation runs as a microtask
+// (Event_Loop_Tracer.js records the actual order: traceEventLoop(microtaskDemo))
 async function microtaskDemo() {
 	console.log('microtaskDemo: before await');
 	await null;
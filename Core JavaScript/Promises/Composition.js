@@ -10,69 +10,319 @@
 // - Function composition: f(g(x)) combine functions so output of one is input of next
 // - Pipe (left-to-right) vs compose (right-to-left)
 // - Currying: transform functions so they accept arguments one at a time
+//   (curryN, placeholders and partial application for variadic functions)
+// - Combinators: tap, when, ifElse, cond, ... keep branching inside a pipe
 // - Promise composition: compose async operations that return promises
 // - Middleware composition: chainable handlers (e.g., Express/Koa style)
 
+const assert = require('node:assert');
+const { createLogger, silentLogger } = require('../../Intermediate JavaScript/Closures/Logger');
+const { delay } = require('./Virtual_Clock');
+const { once: sharedOnce } = require('./Async_Primitives');
+
 // --------------------------------------------------------------------
-// Basic function composition
-const compose = (...fns) => (x) => fns.reduceRight((v, f) => f(v), x);
-const pipe = (...fns) => (x) => fns.reduce((v, f) => f(v), x);
+// Step-level errors
+// When a function inside compose/pipe (or composeAsync/pipeAsync) fails, the caller
+// gets a PipelineError instead of the raw error. Like CustomError in
+// Resource Management/Error_Handling.js it carries the original error plus context:
+//   context: { step, stepName, input, reason }   reason: 'failed' | 'aborted' | 'timeout'
+// `step` is the index of the function in the compose/pipe arguments. A PipelineError
+// thrown by a nested pipe passes through unchanged, so it names the innermost step
+// that failed. Inputs may hold secrets, so a trailing options object { redact }
+// controls what is recorded:
+//   pipe(parse, validate, { redact: redactKeys(['password']) })
+class PipelineError extends Error {
+  constructor(message, originalError, context) {
+    super(message, { cause: originalError });
+    this.name = 'PipelineError';
+    this.originalError = originalError;
+    this.context = context;
+    this.timestamp = new Date();
+  }
+}
+
+// Returns a redact function that masks the given keys anywhere in objects/arrays
+const redactKeys = (keys) => function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value === null || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => [k, keys.includes(k) ? '[REDACTED]' : redact(v)])
+  );
+};
 
-const add1 = (n) => n + 1;
-const mul2 = (n) => n * 2;
+// compose(f, g, { redact }): a trailing non-function argument holds the options
+const splitOptions = (args) => {
+  const last = args[args.length - 1];
+  return typeof last === 'function' || args.length === 0 ? [args, {}] : [args.slice(0, -1), last];
+};
 
-const addThenMul = compose(mul2, add1); // mul2(add1(x))
-const mulThenAdd = pipe(mul2, add1);    // add1(mul2(x))
+function stepError({ fn, step, input, redact = (v) => v }, reason, message, cause) {
+  const stepName = fn.name || '<anonymous>';
+  return new PipelineError(`Step ${step} (${stepName}) ${message}`, cause, {
+    step,
+    stepName,
+    input: redact(input),
+    reason
+  });
+}
 
-console.log('compose(mul2, add1)(5) =', addThenMul(5)); // (5+1)*2 = 12
-console.log('pipe(mul2, add1)(5) =', mulThenAdd(5));    // (5*2)+1 = 11
+function runStep(fn, step, input, { redact } = {}) {
+  try {
+    return fn(input);
+  } catch (err) {
+    if (err instanceof PipelineError) throw err;
+    throw stepError({ fn, step, input, redact }, 'failed', `failed: ${err && err.message}`, err);
+  }
+}
+
+// --------------------------------------------------------------------
+// Basic function composition
+const compose = (...args) => {
+  const [fns, options] = splitOptions(args);
+  return (x) => fns.reduceRight((v, f, i) => runStep(f, i, v, options), x);
+};
+const pipe = (...args) => {
+  const [fns, options] = splitOptions(args);
+  return (x) => fns.reduce((v, f, i) => runStep(f, i, v, options), x);
+};
 
 // --------------------------------------------------------------------
 // Currying (useful for partial application and composition)
-const curry = (fn) => {
-  return function curried(...args) {
-    if (args.length >= fn.length) {
-      return fn.apply(this, args);
-    }
-    return (...more) => curried.apply(this, args.concat(more));
+// curry(fn) reads the arity from fn.length, which is wrong for default parameters
+// ((a, b = 2) => ... has length 1) and rest parameters ((...args) => ... has length 0).
+// curryN(n, fn) takes the arity explicitly. Both support the placeholder `_` to
+// leave an argument open and fill it in a later call, and the returned functions
+// keep fn's name and report the number of arguments still missing as their length.
+const _ = Symbol.for('composition.placeholder');
+
+const setNameAndLength = (fn, name, length) => {
+  Object.defineProperty(fn, 'name', { value: name, configurable: true });
+  Object.defineProperty(fn, 'length', { value: Math.max(0, length), configurable: true });
+  return fn;
+};
+
+// Fill placeholders in `received` from left to right with `args`, then append the rest
+const mergeArgs = (received, args) => {
+  const merged = [];
+  let next = 0;
+  for (const arg of received) {
+    merged.push(arg === _ && next < args.length ? args[next++] : arg);
+  }
+  return merged.concat(args.slice(next));
+};
+
+const countFilled = (args, n) => args.slice(0, n).filter((arg) => arg !== _).length;
+
+const curryN = (n, fn, received = []) => {
+  const curried = function (...args) {
+    const merged = mergeArgs(received, args);
+    if (countFilled(merged, n) >= n) return fn.apply(this, merged);
+    return curryN(n, fn, merged);
   };
+  return setNameAndLength(curried, fn.name, n - countFilled(received, n));
 };
 
-const add = (a, b) => a + b;
-const curriedAdd = curry(add);
-const addFive = curriedAdd(5);
-console.log('addFive(10) =', addFive(10)); // 15
+const curry = (fn) => curryN(fn.length, fn);
+
+// partial(fn, a, _, c)(b) -> fn(a, b, c); partialRight(fn, y, z)(x) -> fn(x, y, z)
+const partial = (fn, ...preset) => setNameAndLength(
+  function (...args) { return fn.apply(this, mergeArgs(preset, args)); },
+  fn.name,
+  fn.length - countFilled(preset, fn.length)
+);
+const partialRight = (fn, ...preset) => setNameAndLength(
+  function (...args) { return fn.apply(this, args.concat(preset)); },
+  fn.name,
+  fn.length - preset.length
+);
 
 // --------------------------------------------------------------------
 // Composing synchronous functions with multiple args
 // Helper to lift a function to accept the output of another
 const lift = (fn) => (g) => (...args) => fn(g(...args));
 
-const sum = (a, b) => a + b;
-const double = (n) => n * 2;
-const doubleSum = lift(double)(sum); // double(sum(a,b))
-console.log('doubleSum(2,3) =', doubleSum(2, 3)); // (2+3)*2 = 10
-
 // --------------------------------------------------------------------
 // Promise composition (composing async functions)
-// A small composeAsync that chains functions returning promises
-const composeAsync = (...fns) => (arg) => fns.reduceRight((p, f) => p.then(f), Promise.resolve(arg));
-
-const asyncAdd1 = async (n) => n + 1;
-const asyncMul2 = async (n) => n * 2;
+// composeAsync/pipeAsync chain functions returning promises. The composed function
+// takes an optional second argument { signal, stepTimeoutMs, redact }:
+// - signal: an AbortSignal checked before every step; aborting rejects right away
+// - stepTimeoutMs: each step must settle within this many milliseconds
+// Each step is called as step(value, { signal }) with a signal that aborts when the
+// caller aborts or the step times out, so it can cancel its own work (fetch, timers).
+// Failures, aborts and timeouts reject with a PipelineError naming the step.
+function runAsyncStep(fn, step, input, { signal, stepTimeoutMs, redact } = {}) {
+  const fail = (reason, message, cause) => stepError({ fn, step, input, redact }, reason, message, cause);
+
+  if (signal && signal.aborted) return Promise.reject(fail('aborted', 'aborted', signal.reason));
+
+  const controller = new AbortController();
+  let timer;
+  let onAbort;
+  return new Promise((resolve, reject) => {
+    onAbort = () => {
+      const err = fail('aborted', 'aborted', signal.reason);
+      controller.abort(err);
+      reject(err);
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    if (stepTimeoutMs !== undefined) {
+      timer = setTimeout(() => {
+        const err = fail('timeout', `timed out after ${stepTimeoutMs}ms`);
+        controller.abort(err);
+        reject(err);
+      }, stepTimeoutMs);
+    }
+    Promise.resolve()
+      .then(() => fn(input, { signal: controller.signal }))
+      .then(resolve, (err) => reject(err instanceof PipelineError ? err : fail('failed', `failed: ${err && err.message}`, err)));
+  }).finally(() => {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  });
+}
 
-const composedAsync = composeAsync(asyncMul2, asyncAdd1); // asyncMul2(asyncAdd1(x))
-composedAsync(5).then((res) => console.log('composedAsync result =', res)); // (5+1)*2 = 12
+const composeAsync = (...args) => {
+  const [fns, defaults] = splitOptions(args);
+  return (arg, options) => fns.reduceRight(
+    (p, f, i) => p.then((value) => runAsyncStep(f, i, value, { ...defaults, ...options })),
+    Promise.resolve(arg)
+  );
+};
 
 // Alternatively a pipeAsync (left-to-right)
-const pipeAsync = (...fns) => (arg) => fns.reduce((p, f) => p.then(f), Promise.resolve(arg));
-const pipedAsync = pipeAsync(asyncAdd1, asyncMul2); // asyncMul2(asyncAdd1(x))
-pipedAsync(5).then((res) => console.log('pipedAsync result =', res));
+const pipeAsync = (...args) => {
+  const [fns, defaults] = splitOptions(args);
+  return (arg, options) => fns.reduce(
+    (p, f, i) => p.then((value) => runAsyncStep(f, i, value, { ...defaults, ...options })),
+    Promise.resolve(arg)
+  );
+};
+
+// --------------------------------------------------------------------
+// Point-free combinators
+// Small higher-order helpers that let branching, logging and error handling sit
+// inside a pipe() instead of breaking it apart into statements:
+//   tap(fn)                    run fn for its side effect, pass the value through
+//   when(pred, fn)             fn(x) if pred(x), otherwise x (unless: the opposite)
+//   ifElse(pred, onTrue, onFalse)
+//   converge(after, [f, g])    after(f(...args), g(...args))
+//   juxt([f, g])               [f(...args), g(...args)]
+//   flip(fn)                   swaps the first two arguments
+//   once(fn)                   calls fn until it succeeds once, then returns that result
+//   memoizeWith(keyFn, fn)     caches results under keyFn(...args)
+//   tryCatch(tryer, catcher)   catcher(err, ...args) when tryer throws
+//   cond([[pred, fn], ...])    the first fn whose pred matches (undefined if none)
+// Each has an ...Async twin that awaits predicates and branches. The async versions
+// forward every argument, so inside pipeAsync the step options ({ signal }) reach
+// the wrapped functions too. converge/juxt run their branches concurrently.
+// The returned functions are named after what they wrap (e.g. 'tap(audit)') so a
+// PipelineError points at the right step.
+const nameAs = (name, fn) => Object.defineProperty(fn, 'name', { value: name, configurable: true });
+const nameOf = (fn) => fn.name || '<anonymous>';
+
+const tap = (fn) => nameAs(`tap(${nameOf(fn)})`, (x, ...rest) => { fn(x, ...rest); return x; });
+const when = (pred, fn) => nameAs(`when(${nameOf(fn)})`, (x, ...rest) => (pred(x, ...rest) ? fn(x, ...rest) : x));
+const unless = (pred, fn) => nameAs(`unless(${nameOf(fn)})`, (x, ...rest) => (pred(x, ...rest) ? x : fn(x, ...rest)));
+const ifElse = (pred, onTrue, onFalse) => nameAs(
+  `ifElse(${nameOf(onTrue)}, ${nameOf(onFalse)})`,
+  (...args) => (pred(...args) ? onTrue(...args) : onFalse(...args))
+);
+const converge = (after, branches) => nameAs(
+  `converge(${nameOf(after)})`,
+  (...args) => after(...branches.map((branch) => branch(...args)))
+);
+const juxt = (fns) => nameAs('juxt', (...args) => fns.map((fn) => fn(...args)));
+const flip = (fn) => nameAs(`flip(${nameOf(fn)})`, (a, b, ...rest) => fn(b, a, ...rest));
+const tryCatch = (tryer, catcher) => nameAs(`tryCatch(${nameOf(tryer)})`, (...args) => {
+  try {
+    return tryer(...args);
+  } catch (err) {
+    return catcher(err, ...args);
+  }
+});
+const cond = (pairs) => nameAs('cond', (...args) => {
+  for (const [pred, fn] of pairs) {
+    if (pred(...args)) return fn(...args);
+  }
+  return undefined;
+});
+
+// once/memoizeWith only keep successful results: a throw (or, for the async
+// versions, a rejection) leaves the slot empty so the next call tries again.
+// Concurrent async calls share the in-flight promise.
+const once = (fn) => {
+  let done = false;
+  let result;
+  return nameAs(`once(${nameOf(fn)})`, function (...args) {
+    if (!done) {
+      result = fn.apply(this, args);
+      done = true;
+    }
+    return result;
+  });
+};
+const memoizeWith = (keyFn, fn) => {
+  const cache = new Map();
+  return nameAs(`memoizeWith(${nameOf(fn)})`, function (...args) {
+    const key = keyFn(...args);
+    if (!cache.has(key)) cache.set(key, fn.apply(this, args));
+    return cache.get(key);
+  });
+};
+
+const tapAsync = (fn) => nameAs(`tapAsync(${nameOf(fn)})`, async (x, ...rest) => { await fn(x, ...rest); return x; });
+const whenAsync = (pred, fn) => nameAs(
+  `whenAsync(${nameOf(fn)})`,
+  async (x, ...rest) => ((await pred(x, ...rest)) ? fn(x, ...rest) : x)
+);
+const unlessAsync = (pred, fn) => nameAs(
+  `unlessAsync(${nameOf(fn)})`,
+  async (x, ...rest) => ((await pred(x, ...rest)) ? x : fn(x, ...rest))
+);
+const ifElseAsync = (pred, onTrue, onFalse) => nameAs(
+  `ifElseAsync(${nameOf(onTrue)}, ${nameOf(onFalse)})`,
+  async (...args) => ((await pred(...args)) ? onTrue(...args) : onFalse(...args))
+);
+const convergeAsync = (after, branches) => nameAs(
+  `convergeAsync(${nameOf(after)})`,
+  async (...args) => after(...(await Promise.all(branches.map((branch) => branch(...args)))))
+);
+const juxtAsync = (fns) => nameAs('juxtAsync', async (...args) => Promise.all(fns.map((fn) => fn(...args))));
+const flipAsync = (fn) => nameAs(`flipAsync(${nameOf(fn)})`, async (a, b, ...rest) => fn(b, a, ...rest));
+const tryCatchAsync = (tryer, catcher) => nameAs(`tryCatchAsync(${nameOf(tryer)})`, async (...args) => {
+  try {
+    return await tryer(...args);
+  } catch (err) {
+    return catcher(err, ...args);
+  }
+});
+const condAsync = (pairs) => nameAs('condAsync', async (...args) => {
+  for (const [pred, fn] of pairs) {
+    if (await pred(...args)) return fn(...args);
+  }
+  return undefined;
+});
+// once() from Async_Primitives.js: a caller's { signal } only ends its own wait
+const onceAsync = (fn) => nameAs(`onceAsync(${nameOf(fn)})`, sharedOnce(fn));
+const memoizeWithAsync = (keyFn, fn) => {
+  const cache = new Map();
+  return nameAs(`memoizeWithAsync(${nameOf(fn)})`, function (...args) {
+    const key = keyFn(...args);
+    if (!cache.has(key)) {
+      const pending = Promise.resolve().then(() => fn.apply(this, args));
+      pending.catch(() => cache.delete(key));
+      cache.set(key, pending);
+    }
+    return cache.get(key);
+  });
+};
 
 // --------------------------------------------------------------------
 // Middleware-style composition (Koa-like)
 // Each middleware receives context and next(), returns a Promise
-function composeMiddleware(middlewares) {
+// Pass { logger } (see Intermediate JavaScript/Closures/Logger.js) to trace dispatch;
+// it is silent by default
+function composeMiddleware(middlewares, { logger = silentLogger } = {}) {
   return function (ctx) {
     let index = -1;
     function dispatch(i) {
@@ -80,9 +330,11 @@ function composeMiddleware(middlewares) {
       index = i;
       const fn = middlewares[i];
       if (!fn) return Promise.resolve();
+      logger.debug(`[middleware] enter #${i} ${fn.name || '<anonymous>'}`);
       try {
         return Promise.resolve(fn(ctx, () => dispatch(i + 1)));
       } catch (err) {
+        logger.error(`[middleware] #${i} ${fn.name || '<anonymous>'} threw:`, err);
         return Promise.reject(err);
       }
     }
@@ -90,21 +342,211 @@ function composeMiddleware(middlewares) {
   };
 }
 
-// Example middleware
-const mw1 = async (ctx, next) => { ctx.log.push('mw1 start'); await next(); ctx.log.push('mw1 end'); };
-const mw2 = async (ctx, next) => { ctx.log.push('mw2 start'); await next(); ctx.log.push('mw2 end'); };
-const mw3 = async (ctx, next) => { ctx.log.push('mw3'); await next(); };
+// --------------------------------------------------------------------
+// Testing middleware stacks
+// testMiddleware(stack, { ctx, logger }) runs composeMiddleware(stack) against a mock
+// ctx and resolves (never rejects) with a report:
+//   log     ['enter mw1', 'enter mw2', 'exit mw2', 'exit mw1'] in the order it happened;
+//           a middleware that throws logs 'throw name: message' instead of 'exit name'
+//   error   the error the whole stack rejected with, if any
+//   issues  [{ index, name, issue }] for middleware that
+//           - 'next-not-called': returned without calling next() (fine for a deliberate
+//             short-circuit, but usually a bug); the last middleware is exempt
+//           - 'next-not-awaited': finished while the rest of the chain was still running,
+//             so its code after next() did not see downstream results or errors
+//   assertLog(expected) / assertNoIssues()  throw an AssertionError on mismatch
+// No ctx.log.push(...) calls are needed inside the middleware under test.
+async function testMiddleware(stack, { ctx = {}, logger } = {}) {
+  const log = [];
+  const issues = [];
+  const nameAt = (fn, index) => fn.name || `#${index}`;
+
+  const instrumented = stack.map((fn, index) => {
+    const name = nameAt(fn, index);
+    const isLast = index === stack.length - 1;
+    return async function (mockCtx, next) {
+      let nextCalled = false;
+      let downstreamSettled = false;
+      let downstreamError;
+      const trackedNext = () => {
+        nextCalled = true;
+        const downstream = next();
+        downstream.then(
+          () => { downstreamSettled = true; },
+          (err) => { downstreamSettled = true; downstreamError = err; }
+        );
+        return downstream;
+      };
+      log.push(`enter ${name}`);
+      try {
+        await fn(mockCtx, trackedNext);
+        log.push(`exit ${name}`);
+      } catch (err) {
+        // An error from downstream just passes through; only the origin is a 'throw'
+        log.push(nextCalled && err === downstreamError ? `exit ${name}` : `throw ${name}: ${err && err.message}`);
+        throw err;
+      } finally {
+        if (!nextCalled && !isLast) issues.push({ index, name, issue: 'next-not-called' });
+        if (nextCalled && !downstreamSettled) issues.push({ index, name, issue: 'next-not-awaited' });
+      }
+    };
+  });
 
-const composed = composeMiddleware([mw1, mw2, mw3]);
-const ctx = { log: [] };
-composed(ctx).then(() => console.log('middleware log =', ctx.log));
+  let error;
+  try {
+    await composeMiddleware(instrumented, { logger })(ctx);
+  } catch (err) {
+    error = err;
+  }
+
+  return {
+    ctx,
+    log,
+    error,
+    issues,
+    assertLog(expected) {
+      assert.deepStrictEqual(log, expected);
+    },
+    assertNoIssues() {
+      assert.deepStrictEqual(issues, []);
+    }
+  };
+}
+
+// --------------------------------------------------------------------
+// Pipeline: a fuller middleware engine on top of composeMiddleware
+// - use(mw) / use('/path', mw): middleware can be limited to a path prefix
+// - use('/api', otherPipeline): mount a sub-pipeline; inside it ctx.path is relative
+//   to the mount point (ctx.mountPath holds the prefix), and when its stack ends it
+//   continues with the parent's next middleware
+// - error middleware is any function declared with three parameters (err, ctx, next).
+//   When a middleware throws (or rejects), the remaining normal middleware is skipped
+//   and the error goes to the next error middleware in the stack; if that one calls
+//   next() without rethrowing, normal processing resumes. An error that no error
+//   middleware handles rejects the promise returned by handle().
+// - every middleware that runs is timed into ctx.timings as { name, totalMs, selfMs }
+//   (selfMs excludes the time spent downstream in next())
+// - short-circuit: a middleware that does not call next() ends the chain there
+function matchesPrefix(prefix, path) {
+  return prefix === '' || path === prefix || path.startsWith(prefix + '/');
+}
+
+class Pipeline {
+  constructor({ logger = silentLogger } = {}) {
+    this.layers = [];
+    this.logger = logger;
+  }
+
+  use(path, handler) {
+    if (typeof path !== 'string') {
+      handler = path;
+      path = '/';
+    }
+    const prefix = path.replace(/\/+$/, ''); // '/' and '/api/' become '' and '/api'
+    if (handler instanceof Pipeline) {
+      this.layers.push({ prefix, isError: false, name: `mount:${path}`, fn: mountPipeline(prefix, handler) });
+    } else if (typeof handler === 'function') {
+      this.layers.push({ prefix, isError: handler.length === 3, name: handler.name || '<anonymous>', fn: handler });
+    } else {
+      throw new TypeError('Pipeline.use() expects a middleware function or a Pipeline');
+    }
+    return this;
+  }
+
+  // Runs the stack for ctx. `next` is what the end of the stack continues with
+  // (used when this pipeline is mounted inside another one).
+  handle(ctx, next = () => Promise.resolve()) {
+    // `failed` is tracked separately because a middleware may throw null or undefined
+    const state = { failed: false, error: undefined };
+    if (!ctx.timings) ctx.timings = [];
+    const middlewares = this.layers.map(layer => this.wrapLayer(layer, state));
+    middlewares.push(() => {
+      if (state.failed) throw state.error; // nobody handled it
+      return next();
+    });
+    return composeMiddleware(middlewares, { logger: this.logger })(ctx);
+  }
+
+  // Adapter so a Pipeline can be passed wherever a (ctx) => Promise handler is expected
+  callback() {
+    return (ctx) => this.handle(ctx);
+  }
+
+  wrapLayer(layer, state) {
+    const logger = this.logger;
+    return async function (ctx, next) {
+      const { failed, error: pending } = state;
+      if (!matchesPrefix(layer.prefix, ctx.path || '/') || layer.isError !== failed) {
+        return next(); // skip: wrong path, or error middleware with no error (and vice versa)
+      }
+      state.failed = false;
+      state.error = undefined;
+
+      let downstreamMs = 0;
+      let nextCalled = false;
+      const timedNext = async () => {
+        nextCalled = true;
+        const start = performance.now();
+        try {
+          return await next();
+        } finally {
+          downstreamMs += performance.now() - start;
+        }
+      };
+
+      const start = performance.now();
+      try {
+        await (layer.isError ? layer.fn(pending, ctx, timedNext) : layer.fn(ctx, timedNext));
+      } catch (err) {
+        // Once next() has been called the rest of the chain has had its turn: an
+        // error from downstream was routed there already, and one thrown after
+        // next() returned has nowhere left to go. Either way it propagates.
+        if (nextCalled) throw err;
+        logger.debug(`[pipeline] ${layer.name} failed:`, err);
+        state.failed = true;
+        state.error = err;
+        return next(); // hand the error to the next error middleware
+      } finally {
+        const totalMs = performance.now() - start;
+        ctx.timings.push({ name: layer.name, totalMs, selfMs: totalMs - downstreamMs });
+      }
+    };
+  }
+}
+
+function mountPipeline(prefix, pipeline) {
+  return function (ctx, next) {
+    const outer = { path: ctx.path || '/', mountPath: ctx.mountPath || '' };
+    const enter = () => {
+      ctx.path = outer.path.slice(prefix.length) || '/';
+      ctx.mountPath = outer.mountPath + prefix;
+    };
+    const leave = () => {
+      ctx.path = outer.path;
+      ctx.mountPath = outer.mountPath;
+    };
+    enter();
+    // When the sub-pipeline runs out of middleware, continue in the parent with the parent's path
+    return pipeline
+      .handle(ctx, async () => {
+        leave();
+        try {
+          await next();
+        } finally {
+          enter();
+        }
+      })
+      .finally(leave);
+  };
+}
 
 // --------------------------------------------------------------------
 // Practical uses of composition
 // - Build pipelines: data transformations (map/filter/reduce chain)
+//   (Iterators and Generators/Transducers.js fuses such chains into a single pass)
 // - Combine small pure functions for clarity and testability
 // - Compose async steps (APIs, DB calls) while keeping code modular
-// - Middleware stacks (HTTP servers, routers, processing pipelines)
+// - Middleware stacks (HTTP servers, routers, processing pipelines); see Pipeline above
 
 // When to use composition
 // - When you can express logic as a sequence of small, focused operations
@@ -122,69 +564,280 @@ composed(ctx).then(() => console.log('middleware log =', ctx.log));
 // - Order matters: compose (right-to-left) vs pipe (left-to-right)
 // - Be careful with functions that change shapes of data (use adapters/lifts)
 // - For async composition, preserve error handling (use try/catch in async fns)
+// - Pass an AbortSignal through async pipelines so cancelled work actually stops
 // - Avoid over-composition that hurts readability; balance clarity and reuse
 
+// Run demos when invoked directly via node
+if (typeof require !== 'undefined' && require.main === module) {
+  // Basic function composition
+  const add1 = (n) => n + 1;
+  const mul2 = (n) => n * 2;
 
+  const addThenMul = compose(mul2, add1); // mul2(add1(x))
+  const mulThenAdd = pipe(mul2, add1);    // add1(mul2(x))
 
+  console.log('compose(mul2, add1)(5) =', addThenMul(5)); // (5+1)*2 = 12
+  console.log('pipe(mul2, add1)(5) =', mulThenAdd(5));    // (5*2)+1 = 11
 
-
-// -------------------- Concurrency helpers examples --------------------
-
-/**
- * There are four composition tools 
- * for running asynchronous operations concurrently: 
- * Promise.all(), Promise.allSettled(), Promise.any(), and Promise.race().
- */
-// Helper: wait(value, ms, {reject}) -> resolves or rejects after ms
-function wait(value, ms = 100, { reject = false } = {}) {
-  return new Promise((resolve, rejectFn) => {
-    setTimeout(() => (reject ? rejectFn(value) : resolve(value)), ms);
+  // A failing step is reported with its position, name and (redacted) input
+  const parseUser = (json) => JSON.parse(json);
+  const checkAge = (user) => {
+    if (user.age < 0) throw new RangeError('age must not be negative');
+    return user;
+  };
+  const loadUser = pipe(parseUser, checkAge, { redact: redactKeys(['password']) });
+  try {
+    loadUser('{"name":"ada","password":"hunter2","age":-1}');
+  } catch (err) {
+    console.log(`${err.name}: ${err.message}`); // PipelineError: Step 1 (checkAge) failed: age must not be negative
+    console.log('context =', err.context);      // { step: 1, stepName: 'checkAge', input: { ..., password: '[REDACTED]' }, reason: 'failed' }
+    console.log('cause is RangeError =', err.cause instanceof RangeError); // true
+  }
+  try {
+    pipe(loadUser, (user) => user.name)('{"age":-1}');
+  } catch (err) {
+    console.log('nested pipe =', err.message); // Step 1 (checkAge) failed: ... (not wrapped again as Step 0)
+  }
+
+  // Currying
+  const add = (a, b) => a + b;
+  const curriedAdd = curry(add);
+  const addFive = curriedAdd(5);
+  console.log('addFive(10) =', addFive(10)); // 15
+
+  // Variadic and default-parameter functions need an explicit arity
+  const sumAll = (...nums) => nums.reduce((total, n) => total + n, 0); // sumAll.length === 0
+  const sum3 = curryN(3, sumAll);
+  console.log('sum3(1)(2)(3) =', sum3(1)(2)(3), 'sum3.length =', sum3.length, 'sum3(1).length =', sum3(1).length); // 6 3 2
+  const scale = (value, factor = 2) => value * factor; // scale.length === 1
+  console.log('curryN(2, scale)(5)(10) =', curryN(2, scale)(5)(10)); // 50
+
+  // Placeholders fill arguments out of order
+  const formatPrice = curryN(3, function formatPrice(currency, amount, locale) {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
   });
+  const inEuros = formatPrice('EUR', _, 'de-DE');
+  console.log('inEuros(1234.5) =', inEuros(1234.5), 'name =', inEuros.name); // 1.234,50 € name = formatPrice
+  const greet = (greeting, name, punctuation) => `${greeting}, ${name}${punctuation}`;
+  console.log(partial(greet, _, 'Ada', '!')('Hello'));  // Hello, Ada!
+  console.log(partialRight(greet, 'Grace', '?')('Hi')); // Hi, Grace?
+
+  // lift
+  const sum = (a, b) => a + b;
+  const double = (n) => n * 2;
+  const doubleSum = lift(double)(sum); // double(sum(a,b))
+  console.log('doubleSum(2,3) =', doubleSum(2, 3)); // (2+3)*2 = 10
+
+  // Promise composition
+  const asyncAdd1 = async (n) => n + 1;
+  const asyncMul2 = async (n) => n * 2;
+
+  const composedAsync = composeAsync(asyncMul2, asyncAdd1); // asyncMul2(asyncAdd1(x))
+  composedAsync(5).then((res) => console.log('composedAsync result =', res)); // (5+1)*2 = 12
+
+  const pipedAsync = pipeAsync(asyncAdd1, asyncMul2); // asyncMul2(asyncAdd1(x))
+  pipedAsync(5).then((res) => console.log('pipedAsync result =', res));
+
+  // Cancelling a pipeline: each step receives { signal } and stops its own work
+  const extract = async (n, { signal }) => { await delay(10, { signal }); return Array.from({ length: n }, (_, i) => i); };
+  const transform = async (rows, { signal }) => { await delay(100, { signal }); return rows.map((r) => r * 2); };
+  const load = async (rows) => rows.length;
+  const etl = pipeAsync(extract, transform, load);
+
+  const etlController = new AbortController();
+  etl(3, { signal: etlController.signal })
+    .catch((err) => console.log('etl cancelled =', err.message, `(${err.context.reason})`)); // Step 1 (transform) aborted (aborted)
+  setTimeout(() => etlController.abort(new Error('user cancelled')), 30);
+
+  etl(3, { stepTimeoutMs: 50 })
+    .catch((err) => console.log('etl timeout =', err.message)); // Step 1 (transform) timed out after 50ms
+
+  // Branching and logging without leaving the pipe
+  const audit = [];
+  const clampNegative = when((n) => n < 0, () => 0);
+  const describe = cond([
+    [(n) => n === 0, () => 'zero'],
+    [(n) => n % 2 === 0, (n) => `even ${n}`],
+    [() => true, (n) => `odd ${n}`]
+  ]);
+  const describeNumber = pipe(tap(function record(n) { audit.push(n); }), clampNegative, describe);
+  console.log([-4, 0, 7, 10].map(describeNumber), 'audit =', audit); // ['zero', 'zero', 'odd 7', 'even 10'] audit = [-4, 0, 7, 10]
+
+  const mean = converge((total, count) => total / count, [(xs) => xs.reduce(add, 0), (xs) => xs.length]);
+  console.log('mean([1, 2, 3, 6]) =', mean([1, 2, 3, 6])); // 3
+  console.log('juxt([min, max]) =', juxt([Math.min, Math.max])(3, 1, 4)); // [1, 4]
+  console.log('flip(greet) =', flip(greet)('Ada', 'Hello', '.')); // Hello, Ada.
+  const safeParse = tryCatch(JSON.parse, (err, text) => ({ invalid: text }));
+  console.log('safeParse =', safeParse('{"ok":true}'), safeParse('{')); // { ok: true } { invalid: '{' }
+  const parity = ifElse((n) => n % 2 === 0, () => 'even', () => 'odd');
+  console.log('parity(3) =', parity(3)); // odd
+
+  let initCount = 0;
+  const init = once(() => ++initCount);
+  init(); init();
+  console.log('once: init ran', initCount, 'time(s)'); // 1
+  const lengthOf = memoizeWith((s) => s.toLowerCase(), (s) => s.length);
+  console.log('memoizeWith =', lengthOf('Hello'), lengthOf('HELLO')); // 5 5 (one computation, key 'hello')
+
+  // The async twins drop into pipeAsync and receive the step's { signal }
+  const fetchUser = async (id, { signal }) => {
+    await delay(5, { signal });
+    if (id === 0) throw new Error('no user 0');
+    return { id, name: `user${id}`, admin: id === 1 };
+  };
+  const loadProfile = pipeAsync(
+    tryCatchAsync(fetchUser, (err, id) => ({ id, name: 'guest', admin: false })),
+    whenAsync(async (user) => user.admin, async (user) => ({ ...user, name: user.name.toUpperCase() })),
+    convergeAsync((user, roles) => ({ ...user, roles }), [
+      async (user) => user,
+      async (user) => (user.admin ? ['read', 'write'] : ['read'])
+    ]),
+    tapAsync(async function logProfile(user, { signal }) {
+      console.log('loaded profile', user.id, 'aborted =', signal.aborted); // aborted = false
+    })
+  );
+  loadProfile(1).then((user) => console.log('profile(1) =', user)); // { id: 1, name: 'USER1', admin: true, roles: ['read', 'write'] }
+  loadProfile(0).then((user) => console.log('profile(0) =', user)); // { id: 0, name: 'guest', admin: false, roles: ['read'] }
+
+  let connectCalls = 0;
+  const connect = onceAsync(async () => { connectCalls++; await delay(5); return 'connection'; });
+  Promise.all([connect(), connect()])
+    .then((conns) => console.log('onceAsync =', conns, 'connect ran', connectCalls, 'time(s)')); // ['connection', 'connection'] 1
+
+  // Middleware-style composition
+  // Example middleware
+  const mw1 = async function mw1(ctx, next) { ctx.user = 'ada'; await next(); };
+  const mw2 = async function mw2(ctx, next) { await next(); ctx.body = `hello ${ctx.user}`; };
+  const mw3 = async function mw3(ctx, next) { ctx.seen = true; await next(); };
+
+  const composed = composeMiddleware([mw1, mw2, mw3], { logger: createLogger({ level: 'debug', prefix: '  ' }) });
+  const ctx = {};
+  composed(ctx).then(() => console.log('middleware ctx =', ctx)); // { user: 'ada', seen: true, body: 'hello ada' }
+
+  // Testing middleware stacks
+  (async () => {
+    const report = await testMiddleware([mw1, mw2, mw3], { ctx: { path: '/' } });
+    report.assertLog(['enter mw1', 'enter mw2', 'enter mw3', 'exit mw3', 'exit mw2', 'exit mw1']);
+    report.assertNoIssues();
+    console.log('testMiddleware ctx =', report.ctx); // { path: '/', user: 'ada', seen: true, body: 'hello ada' }
+
+    // Errors are captured and the log shows where they started and how far they travelled
+    const failing = await testMiddleware([
+      mw1,
+      async function validate(ctx) { throw new TypeError('missing user id'); },
+      mw3
+    ]);
+    console.log('failing log =', failing.log, 'error =', failing.error.message); // ['enter mw1', 'enter validate', 'throw validate: missing user id', 'exit mw1'] 'missing user id'
+
+    // Forgetting to call or await next() is reported instead of failing silently
+    const forgetful = await testMiddleware([
+      async function noAwait(ctx, next) { next(); },
+      async function noNext(ctx) { ctx.handled = true; },
+      async function slow(ctx, next) { await wait(null, 10); await next(); }
+    ]);
+    console.log('issues =', forgetful.issues);
+    // [{ index: 1, name: 'noNext', issue: 'next-not-called' }, { index: 0, name: 'noAwait', issue: 'next-not-awaited' }]
+  })();
+
+  // Pipeline
+  // Example: an API sub-pipeline with its own error middleware, mounted under /api
+  const api = new Pipeline()
+    .use('/users', async function listUsers(ctx) {
+      ctx.body = [{ id: 1, name: 'Ada' }]; // no next(): short-circuits the rest of the chain
+    })
+    .use('/fail', async function failing() {
+      throw new Error('database offline');
+    })
+    .use(async function apiErrors(err, ctx, next) {
+      ctx.status = 503;
+      ctx.body = { error: err.message };
+    });
+
+  const app = new Pipeline()
+    .use(async function requestLog(ctx, next) {
+      await next();
+      ctx.log.push(`${ctx.path} -> ${ctx.status || 200}`);
+    })
+    .use('/api', api)
+    .use(async function notFound(ctx) {
+      ctx.status = 404;
+    });
+
+  (async () => {
+    const requests = ['/api/users', '/api/fail', '/missing'].map(path => ({ path, log: [] }));
+    for (const reqCtx of requests) await app.handle(reqCtx);
+    console.log('pipeline results =', requests.map(({ path, status, body, log }) => ({ path, status, body, log })));
+    console.log('pipeline timings for /api/users =', requests[0].timings.map(t => t.name)); // ['listUsers', 'mount:/api', 'requestLog']
+
+    // An error thrown after next() has returned reaches the caller as it is
+    const afterNext = new Pipeline()
+      .use(async function audit(ctx, next) { await next(); throw new Error('post failure'); })
+      .use(async function respond(ctx) { ctx.body = 'ok'; });
+    await afterNext.handle({ path: '/' }).catch(err => console.log('after next() =', err.message)); // post failure
+  })();
+
+  // -------------------- Concurrency helpers examples --------------------
+
+  /**
+   * There are four composition tools 
+   * for running asynchronous operations concurrently: 
+   * Promise.all(), Promise.allSettled(), Promise.any(), and Promise.race().
+   */
+  // Helper: wait(value, ms, {reject, clock}) -> resolves or rejects after ms
+  // (clock: see Virtual_Clock.js; real timers by default)
+  function wait(value, ms = 100, { reject = false, clock } = {}) {
+    return delay(ms, { value, clock }).then((v) => (reject ? Promise.reject(v) : v));
+  }
+
+  // 1) Promise.all() - resolves when all fulfill, rejects on first rejection
+  const allP1 = wait('A', 200);
+  const allP2 = wait('B', 150);
+  const allP3 = wait('C', 100);
+  Promise.all([allP1, allP2, allP3])
+    .then(results => console.log('Promise.all results:', results))
+    .catch(err => console.log('Promise.all rejected:', err));
+
+  // Example where one rejects
+  Promise.all([wait('ok', 100), wait('bad', 50, { reject: true })])
+    .then(console.log)
+    .catch(err => console.log('Promise.all (with rejection) ->', err));
+
+  // 2) Promise.allSettled() - waits for all to settle and returns status objects
+  Promise.allSettled([wait('A', 100), wait('B', 50, { reject: true }), wait('C', 150)])
+    .then(results => {
+      console.log('Promise.allSettled results:');
+      console.log(results);
+    });
+
+  // 3) Promise.any() - resolves with first fulfilled value, rejects only if all reject
+  Promise.any([wait('fail1', 100, { reject: true }), wait('ok', 200), wait('fail3', 50, { reject: true })])
+    .then(value => console.log('Promise.any fulfilled with:', value))
+    .catch(err => {
+      // AggregateError on Node contains .errors
+      console.log('Promise.any rejected (AggregateError):', err && err.errors ? err.errors : err);
+    });
+
+  // Example where all reject
+  Promise.any([wait('e1', 20, { reject: true }), wait('e2', 40, { reject: true })])
+    .then(console.log)
+    .catch(agg => console.log('Promise.any all rejected errors:', agg && agg.errors ? agg.errors : agg));
+
+  // 4) Promise.race() - settles with the first settled promise (resolve or reject)
+  // The losers keep running; Timeouts.js has raceSettled(), which aborts them
+  Promise.race([wait('err', 50, { reject: true }), wait('ok', 200)])
+    .then(v => console.log('Promise.race resolved:', v))
+    .catch(e => console.log('Promise.race rejected with:', e));
+
+  // Usage notes printed for clarity
+  console.log('\n--- Concurrency helpers demo started ---');
 }
 
-// 1) Promise.all() - resolves when all fulfill, rejects on first rejection
-const allP1 = wait('A', 200);
-const allP2 = wait('B', 150);
-const allP3 = wait('C', 100);
-Promise.all([allP1, allP2, allP3])
-  .then(results => console.log('Promise.all results:', results))
-  .catch(err => console.log('Promise.all rejected:', err));
-
-// Example where one rejects
-Promise.all([wait('ok', 100), wait('bad', 50, { reject: true })])
-  .then(console.log)
-  .catch(err => console.log('Promise.all (with rejection) ->', err));
-
-// 2) Promise.allSettled() - waits for all to settle and returns status objects
-Promise.allSettled([wait('A', 100), wait('B', 50, { reject: true }), wait('C', 150)])
-  .then(results => {
-    console.log('Promise.allSettled results:');
-    console.log(results);
-  });
-
-// 3) Promise.any() - resolves with first fulfilled value, rejects only if all reject
-Promise.any([wait('fail1', 100, { reject: true }), wait('ok', 200), wait('fail3', 50, { reject: true })])
-  .then(value => console.log('Promise.any fulfilled with:', value))
-  .catch(err => {
-    // AggregateError on Node contains .errors
-    console.log('Promise.any rejected (AggregateError):', err && err.errors ? err.errors : err);
-  });
-
-// Example where all reject
-Promise.any([wait('e1', 20, { reject: true }), wait('e2', 40, { reject: true })])
-  .then(console.log)
-  .catch(agg => console.log('Promise.any all rejected errors:', agg && agg.errors ? agg.errors : agg));
-
-// 4) Promise.race() - settles with the first settled promise (resolve or reject)
-Promise.race([wait('err', 50, { reject: true }), wait('ok', 200)])
-  .then(v => console.log('Promise.race resolved:', v))
-  .catch(e => console.log('Promise.race rejected with:', e));
-
-// Usage notes printed for clarity
-console.log('\n--- Concurrency helpers demo started ---');
-
 // Export utilities for reuse
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { compose, pipe, curry, composeAsync, pipeAsync, composeMiddleware };
+  module.exports = {
+    compose, pipe, curry, curryN, partial, partialRight, _, composeAsync, pipeAsync, PipelineError, redactKeys, composeMiddleware, testMiddleware, Pipeline,
+    tap, when, unless, ifElse, converge, juxt, flip, once, memoizeWith, tryCatch, cond,
+    tapAsync, whenAsync, unlessAsync, ifElseAsync, convergeAsync, juxtAsync, flipAsync, onceAsync, memoizeWithAsync, tryCatchAsync, condAsync
+  };
 }
 
@@ -0,0 +1,243 @@
+// Event-loop tracer: see when promise callbacks, awaits and timers actually run
+// --------------------------------------------------------------------
+// microtaskDemo in Await_Function.js and the examples in Promises.js say things like
+// "the await continuation runs as a microtask" and leave the reader to work out the
+// order. traceEventLoop(fn) runs fn with Node's async_hooks switched on and records
+// what the event loop did on its behalf:
+//
+//   promise:create    a promise was created (by new Promise, .then, async fn, await)
+//   promise:resolve   a promise was resolved
+//   microtask         a promise reaction ran: a .then/.catch callback or the code
+//                     after an await (V8 does not tell the two apart)
+//   tick              a process.nextTick callback ran
+//   timer:schedule    setTimeout/setInterval/setImmediate was called
+//   timer:fire        a timer or immediate callback ran (a macrotask)
+//   log               console.log / log() called by the traced code
+//
+// Each event says which queue the code was running from when it happened: 'sync'
+// (the first synchronous run of fn), 'microtask' (promise reactions and nextTick)
+// or 'macrotask' (timers, immediates). AsyncLocalStorage tags everything fn
+// starts, so unrelated activity elsewhere in the process stays out of the trace.
+//
+//   const timeline = await traceEventLoop(async ({ log }) => { ... });
+//   console.log(timeline.toASCII());
+//   fs.writeFileSync('trace.json', JSON.stringify(timeline));
+//
+// Tracing promises is slow (every promise goes through the hooks), so use it for
+// small examples and while debugging ordering bugs, never in production paths.
+
+const { createHook, executionAsyncId, AsyncLocalStorage } = require('node:async_hooks');
+const { performance } = require('node:perf_hooks');
+const { format } = require('node:util');
+
+const QUEUE_OF = {
+  PROMISE: 'microtask',
+  TickObject: 'microtask',
+  Microtask: 'microtask',
+  Timeout: 'macrotask',
+  Immediate: 'macrotask'
+};
+
+const RUN_EVENT = {
+  PROMISE: 'microtask',
+  TickObject: 'tick',
+  Microtask: 'microtask',
+  Timeout: 'timer:fire',
+  Immediate: 'timer:fire'
+};
+
+class Timeline {
+  constructor(events, { name, durationMs, result, error } = {}) {
+    this.name = name;
+    this.durationMs = durationMs;
+    this.result = result;
+    this.error = error;
+    this.events = events;
+  }
+
+  // Events of the given types only, e.g. timeline.filter('log') for just the output order
+  filter(...types) {
+    return new Timeline(this.events.filter(event => types.includes(event.type)), this);
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      durationMs: this.durationMs,
+      error: this.error ? String(this.error) : undefined,
+      events: this.events
+    };
+  }
+
+  // One line per event. Resources are written TYPE#asyncId, and `from` is the
+  // asyncId of the context that created them; a blank line marks each new macrotask.
+  toASCII({ hide = [] } = {}) {
+    const rows = this.events.filter(event => !hide.includes(event.type));
+    const lines = [`trace: ${this.name || '<anonymous>'} (${rows.length} events, ${this.durationMs.toFixed(1)}ms)`];
+    lines.push(`${'seq'.padStart(4)}  ${'t(ms)'.padStart(7)}  ${'queue'.padEnd(9)}  ${'event'.padEnd(15)}  detail`);
+    let previousQueue = null;
+    for (const event of rows) {
+      if (event.queue === 'macrotask' && event.type === 'timer:fire' && previousQueue !== null) lines.push('');
+      previousQueue = event.queue;
+      lines.push(
+        `${String(event.seq).padStart(4)}  ${event.tMs.toFixed(2).padStart(7)}  ${event.queue.padEnd(9)}  ${event.type.padEnd(15)}  ${describe(event)}`
+      );
+    }
+    return lines.join('\n');
+  }
+}
+
+function describe(event) {
+  const resource = event.resource ? `${event.resource}#${event.asyncId}` : '';
+  switch (event.type) {
+    case 'log': return event.message;
+    case 'promise:create': return `${resource} from #${event.triggerAsyncId}`;
+    case 'timer:schedule': return `${resource}${event.delayMs === undefined ? '' : ` (${event.delayMs}ms)`}`;
+    default: return resource;
+  }
+}
+
+// traceEventLoop(fn, { name, timeoutMs, echo })
+// Calls fn({ log }) and resolves with a Timeline once fn's promise has settled and
+// the timers it scheduled have fired or been cleared (or after timeoutMs, for
+// intervals that never stop). console.log calls made by the traced code are recorded
+// as log events; with echo: true they are printed as well. An error thrown by fn is
+// stored in timeline.error instead of rejecting.
+async function traceEventLoop(fn, { name = fn.name, timeoutMs = 2000, echo = false } = {}) {
+  const storage = new AsyncLocalStorage();
+  const traceId = Symbol(name || 'trace');
+  const events = [];
+  const tracked = new Map(); // asyncId -> resource type, for everything started by fn
+  const pendingTimers = new Set();
+  let rootId = null;
+  const start = performance.now();
+
+  const queueNow = () => {
+    const id = executionAsyncId();
+    if (id === rootId) return 'sync';
+    return QUEUE_OF[tracked.get(id)] || 'sync';
+  };
+  const record = (type, detail) => {
+    events.push({ seq: events.length + 1, tMs: performance.now() - start, type, queue: queueNow(), ...detail });
+  };
+
+  // Hooks must not do I/O (console.log inside a hook would create more async
+  // resources and recurse), so they only push plain objects
+  const hook = createHook({
+    init(asyncId, type, triggerAsyncId, resource) {
+      if (!(type in QUEUE_OF) || storage.getStore() !== traceId) return;
+      tracked.set(asyncId, type);
+      if (type === 'PROMISE') {
+        record('promise:create', { asyncId, triggerAsyncId, resource: type });
+      } else if (type === 'Timeout' || type === 'Immediate') {
+        pendingTimers.add(asyncId);
+        record('timer:schedule', { asyncId, triggerAsyncId, resource: type, delayMs: resource._idleTimeout });
+      }
+    },
+    before(asyncId) {
+      const type = tracked.get(asyncId);
+      if (!type) return;
+      // executionAsyncId() already is asyncId here, so queueNow() reports this resource's queue
+      record(RUN_EVENT[type], { asyncId, resource: type });
+    },
+    promiseResolve(asyncId) {
+      if (tracked.get(asyncId) === 'PROMISE') record('promise:resolve', { asyncId, resource: 'PROMISE' });
+    },
+    destroy(asyncId) {
+      pendingTimers.delete(asyncId);
+    }
+  });
+
+  const originalLog = console.log;
+  console.log = (...args) => {
+    if (storage.getStore() !== traceId) return originalLog.apply(console, args);
+    // util.format renders the message exactly like console.log would (and never
+    // throws, so tracing cannot change what the traced code does)
+    record('log', { message: format(...args) });
+    if (echo) originalLog.apply(console, args);
+  };
+  const log = (...args) => console.log(...args);
+
+  let result;
+  let error;
+  hook.enable();
+  try {
+    // Only fn's own synchronous run happens inside the traced context; awaiting its
+    // result here would otherwise show up in the trace as well
+    const returned = storage.run(traceId, () => {
+      rootId = executionAsyncId();
+      record('log', { message: `> ${name || 'trace'} start` });
+      try {
+        return fn({ log });
+      } catch (err) {
+        error = err;
+        return undefined;
+      }
+    });
+    await Promise.resolve(returned).then(value => { result = value; }, err => { error = err; });
+    // Let the timers fn scheduled run out (outside the traced context)
+    const deadline = performance.now() + timeoutMs;
+    while (pendingTimers.size > 0 && performance.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+  } finally {
+    hook.disable();
+    console.log = originalLog;
+  }
+
+  return new Timeline(events, { name, durationMs: performance.now() - start, result, error });
+}
+
+// Run demos when invoked directly via node
+if (typeof require !== 'undefined' && require.main === module) {
+  // Await_Function.js microtaskDemo plus the other queues, in one function. Guess the
+  // order of the log lines before reading the trace:
+  async function microtaskDemo() {
+    console.log('sync: before await');
+    setTimeout(() => console.log('setTimeout 0 (macrotask)'), 0);
+    setImmediate(() => console.log('setImmediate (macrotask, check phase)'));
+    Promise.resolve().then(() => console.log('then callback (microtask)'));
+    process.nextTick(() => console.log('nextTick (runs before promise microtasks)'));
+    await null;
+    console.log('after await (microtask)');
+  }
+
+  (async () => {
+    const timeline = await traceEventLoop(microtaskDemo);
+    console.log(timeline.filter('log').toASCII());
+    //  1  sync       log  > microtaskDemo start
+    //  3  sync       log  sync: before await
+    //     microtask  log  nextTick (runs before promise microtasks)
+    //     microtask  log  then callback (microtask)
+    //     microtask  log  after await (microtask)
+    //     macrotask  log  setTimeout 0 (macrotask)
+    //     macrotask  log  setImmediate (macrotask, check phase)
+    // (seq numbers skip the hidden events. setTimeout(fn, 0) is really 1ms, so it can
+    // swap with setImmediate when started from the main module; inside an I/O
+    // callback setImmediate always wins)
+
+    console.log();
+    console.log(timeline.toASCII({ hide: ['promise:resolve'] }));
+
+    // The same data as JSON, e.g. for a viewer or for diffing two runs
+    const json = JSON.parse(JSON.stringify(timeline));
+    const counts = json.events.reduce((acc, event) => ({ ...acc, [event.type]: (acc[event.type] || 0) + 1 }), {});
+    console.log('\nJSON event counts =', counts);
+
+    // Chained .then vs await: which log comes first?
+    const race = await traceEventLoop(async function thenVsAwait({ log }) {
+      Promise.resolve().then(() => log('then 1')).then(() => log('then 2')).then(() => log('then 3'));
+      await undefined;
+      log('after await 1');
+      await undefined;
+      log('after await 2');
+    });
+    console.log('\nthenVsAwait order =', race.filter('log').events.map(event => event.message));
+    // ['> thenVsAwait start', 'then 1', 'after await 1', 'then 2', 'after await 2', 'then 3']
+  })();
+}
+
+// Export utilities for reuse
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { traceEventLoop, Timeline };
+}
@@ -0,0 +1,330 @@
+// HTTP server adapter for middleware pipelines
+// --------------------------------------------------------------------
+// Composition.js composes request/response middleware, but nothing there talks to
+// a real server. createServer() wraps Node's http module so that every request
+// builds a `ctx`, runs it through a pipeline and writes the result back:
+//
+//   ctx.req / ctx.res        raw Node request and response objects (a handler that
+//                            answers through ctx.res itself is left alone)
+//   ctx.method, ctx.path     e.g. 'GET', '/users/42'
+//   ctx.query                parsed query string ({ verbose: '1' })
+//   ctx.params               route parameters filled in by the router ({ id: '42' })
+//   ctx.request.headers      incoming headers (lower-cased names)
+//   ctx.request.body         parsed body: JSON, urlencoded form, or raw text
+//   ctx.status               response status (404, or 200 once a body is set, until assigned)
+//   ctx.headers              response headers to send
+//   ctx.body                 response body: object/array -> JSON, string -> text, Buffer -> bytes
+//
+// The pipeline can be a Pipeline (anything with handle(ctx)) or a plain
+// (ctx) => Promise function such as composeMiddleware([...]).
+
+const http = require('node:http');
+const { silentLogger } = require('../../Intermediate JavaScript/Closures/Logger');
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Reads and parses the request body according to its Content-Type. A body over
+// `limit` bytes rejects with a 413 HttpError; the rest of it is read and thrown
+// away (not kept in memory), so the socket stays usable for sending the 413.
+function readBody(req, { limit = 1024 * 1024 } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        req.off('data', onData);
+        req.resume();
+        reject(new HttpError(413, 'Payload Too Large'));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('error', reject);
+    req.on('end', () => {
+      if (size > limit) return;
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (text === '') return resolve(undefined);
+      const type = (req.headers['content-type'] || '').split(';')[0].trim();
+      try {
+        if (type === 'application/json') return resolve(JSON.parse(text));
+        if (type === 'application/x-www-form-urlencoded') {
+          return resolve(Object.fromEntries(new URLSearchParams(text)));
+        }
+        resolve(text);
+      } catch (err) {
+        reject(new HttpError(400, `Invalid ${type} body: ${err.message}`));
+      }
+    });
+  });
+}
+
+// Turns ctx.body into the bytes to send and fills in content-type/content-length.
+// Throws for bodies JSON.stringify cannot handle (BigInt, cycles).
+function serializeResponse(ctx) {
+  const { body } = ctx;
+  let payload = body;
+  if (body === undefined || body === null) {
+    payload = undefined;
+  } else if (Buffer.isBuffer(body)) {
+    ctx.headers['content-type'] = ctx.headers['content-type'] || 'application/octet-stream';
+  } else if (typeof body === 'string') {
+    ctx.headers['content-type'] = ctx.headers['content-type'] || 'text/plain; charset=utf-8';
+  } else {
+    payload = JSON.stringify(body);
+    ctx.headers['content-type'] = ctx.headers['content-type'] || 'application/json; charset=utf-8';
+  }
+  if (payload !== undefined) ctx.headers['content-length'] = Buffer.byteLength(payload);
+  return payload;
+}
+
+// Last resort when the response itself is broken (e.g. an invalid header or status)
+function sendPlainError(res) {
+  if (res.writableEnded) return;
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  const text = 'Internal Server Error';
+  res.writeHead(500, { 'content-type': 'text/plain; charset=utf-8', 'content-length': Buffer.byteLength(text) });
+  res.end(text);
+}
+
+// Only origin-form targets ('/path?query') are accepted. The target is appended
+// to a fixed origin instead of resolved against it, so '//host/x' stays a path
+// rather than naming another host.
+function parseTarget(target) {
+  if (!target.startsWith('/')) throw new HttpError(400, 'Bad request target');
+  try {
+    return new URL(`http://localhost${target}`);
+  } catch (err) {
+    throw new HttpError(400, 'Bad request target');
+  }
+}
+
+// ctx.status starts at 404 and becomes 200 once a body is set, unless the
+// pipeline assigned a status itself (then that status is kept, 404 included).
+// url is null when the target could not be parsed; that ctx only carries the 400.
+function createContext(req, res, url = parseTarget(req.url)) {
+  let status = 404;
+  let statusSet = false;
+  return {
+    req,
+    res,
+    method: req.method,
+    path: url ? url.pathname : req.url,
+    query: url ? Object.fromEntries(url.searchParams) : {},
+    params: {},
+    request: { headers: req.headers, body: undefined },
+    get status() {
+      if (!statusSet && this.body !== undefined) return 200;
+      return status;
+    },
+    set status(code) {
+      status = code;
+      statusSet = true;
+    },
+    headers: {},
+    body: undefined
+  };
+}
+
+function createServer(pipeline, { logger = silentLogger, bodyLimit } = {}) {
+  const run = typeof pipeline === 'function' ? pipeline : (ctx) => pipeline.handle(ctx);
+
+  return http.createServer(async (req, res) => {
+    let ctx = null;
+    let payload;
+    let failed = false;
+
+    try {
+      ctx = createContext(req, res);
+      ctx.request.body = await readBody(req, { limit: bodyLimit });
+      await run(ctx);
+      payload = serializeResponse(ctx);
+    } catch (err) {
+      failed = true;
+      if (!ctx) ctx = createContext(req, res, null);
+      ctx.status = err instanceof HttpError ? err.status : 500;
+      ctx.body = { error: err instanceof HttpError ? err.message : 'Internal Server Error' };
+      // readBody throws the rest of a 413 body away, but the client may still be
+      // sending it; closing the connection beats waiting for the last byte
+      ctx.headers = ctx.status === 413 ? { connection: 'close' } : {};
+      if (ctx.status === 500) logger.error(`[http] ${ctx.method} ${ctx.path} failed:`, err);
+      payload = serializeResponse(ctx);
+    }
+    // The handler answered through ctx.res itself. If it failed halfway through,
+    // the client cannot tell from a truncated response, so drop the connection.
+    if (res.headersSent || res.writableEnded) {
+      logger.debug(`[http] ${ctx.method} ${ctx.path} -> ${res.statusCode} (sent by the handler)`);
+      if (failed && !res.writableEnded) res.destroy();
+      return;
+    }
+    logger.debug(`[http] ${ctx.method} ${ctx.path} -> ${ctx.status}`);
+
+    try {
+      res.writeHead(ctx.status, ctx.headers);
+      res.end(payload);
+    } catch (err) {
+      logger.error(`[http] ${ctx.method} ${ctx.path} could not send the response:`, err);
+      sendPlainError(res);
+    }
+  });
+}
+
+// Router: method + path matching with :params
+// '/users/:id' matches '/users/42' and sets ctx.params.id = '42'. When the path
+// matches but the method does not, it answers 405 with an Allow header; when no
+// route matches it calls next() so later middleware can handle the request.
+function compilePath(pattern) {
+  const names = [];
+  const source = pattern
+    .replace(/\/+$/, '')
+    .split('/')
+    .map(segment => {
+      if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      names.push(segment.slice(1));
+      return '([^/]+)';
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+function createRouter() {
+  const routes = [];
+  const router = {
+    route(method, pattern, handler) {
+      routes.push({ method: method.toUpperCase(), ...compilePath(pattern), handler });
+      return router;
+    },
+    middleware() {
+      return function routerMiddleware(ctx, next) {
+        const allowed = [];
+        for (const route of routes) {
+          const match = route.regex.exec(ctx.path);
+          if (!match) continue;
+          if (route.method !== ctx.method) {
+            allowed.push(route.method);
+            continue;
+          }
+          try {
+            route.names.forEach((name, i) => {
+              ctx.params[name] = decodeURIComponent(match[i + 1]);
+            });
+          } catch (err) {
+            // A malformed escape such as %E0%A4%A is the client's mistake, not ours
+            return Promise.reject(new HttpError(400, 'Malformed URL parameter'));
+          }
+          return route.handler(ctx, next);
+        }
+        if (allowed.length > 0) {
+          ctx.status = 405;
+          ctx.headers.allow = allowed.join(', ');
+          ctx.body = { error: 'Method Not Allowed' };
+          return Promise.resolve();
+        }
+        return next();
+      };
+    }
+  };
+  for (const method of ['get', 'post', 'put', 'patch', 'delete']) {
+    router[method] = (pattern, handler) => router.route(method, pattern, handler);
+  }
+  return router;
+}
+
+// Run demos when invoked directly via node: start a server on a free localhost
+// port, send a few requests with fetch() and shut it down again
+if (typeof require !== 'undefined' && require.main === module) {
+  const net = require('node:net');
+  const { Pipeline } = require('./Composition');
+
+  const users = new Map([['1', { id: '1', name: 'Ada' }]]);
+  const router = createRouter()
+    .get('/users/:id', async (ctx) => {
+      const user = users.get(ctx.params.id);
+      if (!user) {
+        ctx.status = 404; // an explicit status is kept even though a body is set
+        ctx.body = { error: `No user ${ctx.params.id}` };
+        return;
+      }
+      ctx.body = ctx.query.verbose ? { ...user, fetchedAt: 'now' } : user;
+    })
+    .get('/users.csv', async (ctx) => {
+      // Streaming straight to ctx.res: createServer leaves the finished response alone
+      ctx.res.writeHead(200, { 'content-type': 'text/csv' });
+      for (const user of users.values()) ctx.res.write(`${user.id},${user.name}\n`);
+      ctx.res.end();
+    })
+    .post('/users', async (ctx) => {
+      const id = String(users.size + 1);
+      users.set(id, { id, ...ctx.request.body });
+      ctx.status = 201;
+      ctx.body = users.get(id);
+    });
+
+  const api = new Pipeline().use(router.middleware());
+  const app = new Pipeline()
+    .use(async function poweredBy(ctx, next) {
+      ctx.headers['x-powered-by'] = 'Pipeline';
+      await next();
+    })
+    .use('/api', api);
+
+  const server = createServer(app);
+  server.listen(0, '127.0.0.1', async () => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const show = async (label, response) => {
+      const text = await response.text();
+      console.log(`${label} -> ${response.status}`, text);
+    };
+    try {
+      await show('GET /api/users/1?verbose=1', await fetch(`${base}/api/users/1?verbose=1`));
+      await show('GET /api/users/99', await fetch(`${base}/api/users/99`));
+      await show('GET /api/users/%E0%A4%A', await fetch(`${base}/api/users/%E0%A4%A`)); // malformed escape -> 400
+      await show('POST /api/users (json)', await fetch(`${base}/api/users`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ name: 'Grace' })
+      }));
+      await show('POST /api/users (form)', await fetch(`${base}/api/users`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        body: 'name=Linus'
+      }));
+      await show('POST /api/users (bad json)', await fetch(`${base}/api/users`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: '{'
+      }));
+      await show('DELETE /api/users/1', await fetch(`${base}/api/users/1`, { method: 'DELETE' }));
+      await show('GET /nowhere', await fetch(`${base}/nowhere`));
+      await show('GET /api/users.csv', await fetch(`${base}/api/users.csv`));
+
+      // fetch() always sends a clean request target, so write odd ones by hand
+      const statusLine = (target) => new Promise((resolve, reject) => {
+        const socket = net.connect(server.address().port, '127.0.0.1', () => {
+          socket.end(`GET ${target} HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+        });
+        socket.once('data', (chunk) => resolve(chunk.toString('latin1').split('\r\n')[0]));
+        socket.on('error', reject);
+      });
+      console.log('GET //[ ->', await statusLine('//[')); // HTTP/1.1 404 Not Found (a path, not a host)
+      console.log('GET * ->', await statusLine('*'));     // HTTP/1.1 400 Bad Request
+    } finally {
+      server.close();
+    }
+  });
+}
+
+// Export utilities for reuse
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createServer, createRouter, readBody, HttpError };
+}
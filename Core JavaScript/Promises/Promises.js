@@ -77,6 +77,7 @@ basicPromise
 //   - You need clear error handling
 //
 // Example: Simulating an API call
+// (Resilience.js wraps calls like this with retry/backoff, a circuit breaker and fallbacks)
 
 function fetchUserData(userId) {
   return new Promise((resolve, reject) => {
@@ -120,9 +121,9 @@ fetch('https://jsonplaceholder.typicode.com/users/1')
 //   .catch((error) => console.log('Read error:', error));
 
 // 3. Timers and Delays
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
+// delay(ms) from Virtual_Clock.js wraps setTimeout in a promise; pass
+// { clock: createVirtualClock() } to control time in tests
+const { delay } = require('./Virtual_Clock');
 
 delay(2000)
   .then(() => console.log('2 seconds have passed'))
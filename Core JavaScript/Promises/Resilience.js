@@ -0,0 +1,332 @@
+// Resilience: retry, circuit breaker and fallback for promise-returning functions
+// --------------------------------------------------------------------
+// Promises.js simulates a flaky API with fetchUserData(), and
+// Resource Management/Error_Handling.js (errorRecoveryPattern) hand-codes a single
+// fallback query. These wrappers make the same ideas reusable:
+//
+//   retry(fn, options)              call fn again after a delay when it rejects
+//   new CircuitBreaker(fn, options) stop calling a dependency that keeps failing
+//   fallback(primary, ...others)    try alternatives in order until one succeeds
+//
+// All of them wrap a function and return a function with the same arguments, so
+// they stack: retry(breaker.fire) retries through the breaker, fallback(retried, cached)
+// falls back once the retries are used up.
+//
+// Timing goes through a `clock` option (see Virtual_Clock.js), real timers by
+// default. Passing a virtual clock makes delays instant and deterministic; the demo
+// at the bottom does that.
+
+const { silentLogger } = require('../../Intermediate JavaScript/Closures/Logger');
+const { realClock, delay } = require('./Virtual_Clock');
+
+// Like CustomError in Error_Handling.js: the last failure plus what was tried
+class RetryError extends Error {
+  constructor(message, originalError, context) {
+    super(message, { cause: originalError });
+    this.name = 'RetryError';
+    this.originalError = originalError;
+    this.context = context;
+    this.timestamp = new Date();
+  }
+}
+
+class CircuitOpenError extends Error {
+  constructor(message, context) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.context = context;
+  }
+}
+
+// --------------------------------------------------------------------
+// retry
+// Delay before retry number n (1-based), before jitter:
+//   'exponential'  baseMs * factor^(n-1)   100, 200, 400, ...
+//   'linear'       baseMs * n              100, 200, 300, ...
+//   'fixed'        baseMs                  100, 100, 100, ...
+//   (n) => ms      any custom schedule
+// capped at maxMs. Jitter spreads retries from many clients so they do not hit
+// a recovering service at the same instant:
+//   jitter: true | 'full'   random delay in [0, delay]
+//   jitter: 'equal'         delay/2 + random in [0, delay/2]
+function backoffDelay(attempt, { backoff, baseMs, factor, maxMs, jitter, random }) {
+  let delay;
+  if (typeof backoff === 'function') delay = backoff(attempt);
+  else if (backoff === 'exponential') delay = baseMs * factor ** (attempt - 1);
+  else if (backoff === 'linear') delay = baseMs * attempt;
+  else if (backoff === 'fixed') delay = baseMs;
+  else throw new TypeError(`Unknown backoff: ${backoff}`);
+
+  delay = Math.min(delay, maxMs);
+  if (jitter === true || jitter === 'full') return Math.round(random() * delay);
+  if (jitter === 'equal') return Math.round(delay / 2 + random() * (delay / 2));
+  return delay;
+}
+
+// retries  - how many times to call again after the first failure (total calls: retries + 1)
+// retryOn  - (err, attempt) => boolean; errors it rejects are rethrown unchanged right away
+// onRetry  - ({ attempt, error, delayMs }) => void, called before each wait
+// signal   - aborting stops waiting and rejects with signal.reason
+// When every attempt fails the promise rejects with a RetryError whose cause is the
+// last error and whose context is { attempts, errors }.
+function retry(fn, {
+  retries = 3,
+  backoff = 'exponential',
+  baseMs = 100,
+  factor = 2,
+  maxMs = 30000,
+  jitter = false,
+  retryOn = () => true,
+  onRetry,
+  signal,
+  clock = realClock,
+  random = Math.random,
+  logger = silentLogger
+} = {}) {
+  const name = fn.name || '<anonymous>';
+
+  return async function retried(...args) {
+    const errors = [];
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn.apply(this, args);
+      } catch (err) {
+        errors.push(err);
+        if (!retryOn(err, attempt + 1)) throw err;
+        if (attempt >= retries) {
+          throw new RetryError(`${name} failed after ${attempt + 1} attempts: ${err && err.message}`, err, {
+            attempts: attempt + 1,
+            errors
+          });
+        }
+        const delayMs = backoffDelay(attempt + 1, { backoff, baseMs, factor, maxMs, jitter, random });
+        logger.debug(`[retry] ${name} attempt ${attempt + 1} failed (${err && err.message}), retrying in ${delayMs}ms`);
+        if (onRetry) onRetry({ attempt: attempt + 1, error: err, delayMs });
+        await delay(delayMs, { clock, signal });
+      }
+    }
+  };
+}
+
+// --------------------------------------------------------------------
+// CircuitBreaker
+// closed     calls go through; `failureThreshold` consecutive failures open the circuit
+// open       calls reject immediately with CircuitOpenError (the dependency gets time
+//            to recover) until `resetTimeoutMs` has passed
+// half-open  up to `halfOpenMaxCalls` trial calls go through at once; `successThreshold`
+//            successes close the circuit again, any failure re-opens it
+// isFailure(err) decides which rejections count (e.g. ignore 404s); rejections it
+// returns false for are passed through without affecting the state.
+//
+// Events: 'stateChange' ({ from, to }) plus one event named after the new state
+// ('open', 'half-open', 'closed'). Listeners receive { type, from, to, ... }.
+class CircuitBreaker {
+  constructor(fn, {
+    failureThreshold = 5,
+    resetTimeoutMs = 10000,
+    halfOpenMaxCalls = 1,
+    successThreshold = 1,
+    isFailure = () => true,
+    clock = realClock,
+    logger = silentLogger
+  } = {}) {
+    this.fn = fn;
+    this.options = { failureThreshold, resetTimeoutMs, halfOpenMaxCalls, successThreshold, isFailure };
+    this.clock = clock;
+    this.logger = logger;
+    this.listeners = new Map(); // event type -> Set of listeners
+    this.currentState = 'closed';
+    this.failures = 0;
+    this.successes = 0;
+    this.inFlightTrials = 0;
+    this.openedAt = 0;
+    this.fire = this.fire.bind(this);
+  }
+
+  // The open -> half-open move happens lazily, the first time the state is looked
+  // at after the reset timeout, so an idle breaker keeps no timer alive
+  get state() {
+    if (this.currentState === 'open' && this.clock.now() - this.openedAt >= this.options.resetTimeoutMs) {
+      this.transition('half-open');
+    }
+    return this.currentState;
+  }
+
+  async fire(...args) {
+    const state = this.state;
+    if (state === 'open' || (state === 'half-open' && this.inFlightTrials >= this.options.halfOpenMaxCalls)) {
+      const retryInMs = Math.max(0, this.openedAt + this.options.resetTimeoutMs - this.clock.now());
+      throw new CircuitOpenError(`Circuit is ${state} for ${this.fn.name || '<anonymous>'}`, { state, retryInMs });
+    }
+
+    const trial = state === 'half-open';
+    if (trial) this.inFlightTrials++;
+    try {
+      const result = await this.fn(...args);
+      this.recordSuccess();
+      return result;
+    } catch (err) {
+      if (this.options.isFailure(err)) this.recordFailure(err);
+      throw err;
+    } finally {
+      if (trial) this.inFlightTrials--;
+    }
+  }
+
+  recordSuccess() {
+    if (this.currentState === 'half-open') {
+      this.successes++;
+      if (this.successes >= this.options.successThreshold) this.transition('closed');
+    } else {
+      this.failures = 0;
+    }
+  }
+
+  recordFailure(err) {
+    this.logger.debug(`[circuit] ${this.currentState} failure: ${err && err.message}`);
+    if (this.currentState === 'half-open') {
+      this.transition('open');
+    } else if (this.currentState === 'closed' && ++this.failures >= this.options.failureThreshold) {
+      this.transition('open');
+    }
+  }
+
+  transition(to) {
+    const from = this.currentState;
+    if (from === to) return;
+    this.currentState = to;
+    this.failures = 0;
+    this.successes = 0;
+    if (to === 'open') this.openedAt = this.clock.now();
+    this.logger.info(`[circuit] ${from} -> ${to}`);
+    this.emit('stateChange', { from, to });
+    this.emit(to, { from, to });
+  }
+
+  // A throwing listener must not replace the caller's error or leave the breaker
+  // half-updated, so its error is rethrown on its own in a microtask (as in
+  // Memoization.js and EventTarget)
+  emit(type, detail) {
+    const typeListeners = this.listeners.get(type);
+    if (!typeListeners) return;
+    for (const listener of typeListeners) {
+      try {
+        listener({ type, ...detail });
+      } catch (err) {
+        queueMicrotask(() => {
+          throw err;
+        });
+      }
+    }
+  }
+
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(listener);
+    return this;
+  }
+
+  off(type, listener) {
+    if (this.listeners.has(type)) this.listeners.get(type).delete(listener);
+    return this;
+  }
+}
+
+// --------------------------------------------------------------------
+// fallback(primary, ...alternatives): calls each function with the same arguments
+// until one resolves. If all of them reject, the result rejects with an
+// AggregateError holding every error in order.
+function fallback(primary, ...alternatives) {
+  const fns = [primary, ...alternatives];
+  return async function withFallback(...args) {
+    const errors = [];
+    for (const fn of fns) {
+      try {
+        return await fn.apply(this, args);
+      } catch (err) {
+        errors.push(err);
+      }
+    }
+    throw new AggregateError(errors, `All ${fns.length} alternatives failed`);
+  };
+}
+
+// Run demos when invoked directly via node
+if (typeof require !== 'undefined' && require.main === module) {
+  // Timers only fire when the virtual clock is advanced, so the demo runs instantly
+  // and prints the same output every time (no real waiting, no flakiness)
+  const { createVirtualClock } = require('./Virtual_Clock');
+
+  // Like fetchUserData in Promises.js, but failing a set number of times first
+  const flakyFetchUser = (failures) => {
+    let calls = 0;
+    return async function fetchUserData(userId) {
+      calls++;
+      if (calls <= failures) throw new Error(`503 Service Unavailable (call ${calls})`);
+      return { id: userId, name: 'Indra Gupta' };
+    };
+  };
+
+  (async () => {
+    const clock = createVirtualClock();
+
+    // retry with exponential backoff: delays of 100ms and 200ms before success
+    const delays = [];
+    const getUser = retry(flakyFetchUser(2), {
+      retries: 3,
+      clock,
+      onRetry: ({ attempt, delayMs }) => delays.push(`#${attempt} +${delayMs}ms`)
+    });
+    const pending = getUser(1);
+    await clock.advance(1000);
+    console.log('retry result =', await pending, 'delays =', delays); // { id: 1, name: 'Indra Gupta' } ['#1 +100ms', '#2 +200ms']
+
+    // Out of retries: RetryError with every attempt's error
+    const gaveUp = retry(flakyFetchUser(10), { retries: 2, backoff: 'fixed', baseMs: 50, clock })(1).catch((err) => err);
+    await clock.advance(1000);
+    const retryError = await gaveUp;
+    console.log(`${retryError.name}: ${retryError.message}`, retryError.context.attempts); // RetryError: fetchUserData failed after 3 attempts: 503 ... 3
+
+    // retryOn: only transient errors are retried
+    const notFound = retry(async function lookup() { throw new Error('404 Not Found'); }, {
+      clock,
+      retryOn: (err) => err.message.startsWith('5')
+    });
+    console.log('not retried =', await notFound().catch((err) => err.message)); // 404 Not Found
+
+    // Jitter with a fixed random source gives reproducible delays
+    const jittered = [1, 2, 3].map((n) => backoffDelay(n, {
+      backoff: 'exponential', baseMs: 100, factor: 2, maxMs: 30000, jitter: 'equal', random: () => 0.5
+    }));
+    console.log('equal jitter delays =', jittered); // [75, 150, 300]
+
+    // Circuit breaker: 3 failures open the circuit, after 5s one trial call is let through
+    const breaker = new CircuitBreaker(flakyFetchUser(3), { failureThreshold: 3, resetTimeoutMs: 5000, clock });
+    breaker.on('stateChange', ({ from, to }) => console.log(`  circuit ${from} -> ${to} at t=${clock.now()}ms`));
+    for (let i = 0; i < 4; i++) {
+      await breaker.fire(1).catch((err) => console.log(`  call ${i + 1}: ${err.name}: ${err.message}`));
+    }
+    // call 4 is rejected without calling fetchUserData: CircuitOpenError
+    await clock.advance(5000);
+    console.log('after reset timeout:', breaker.state); // half-open
+    console.log('trial call =', await breaker.fire(1), 'state =', breaker.state); // { id: 1, ... } closed
+
+    // fallback: the errorRecoveryPattern query fallback as a combinator
+    const queryPrimary = async function queryPrimary() { throw new Error('Query execution failed'); };
+    const queryFallbackTable = async function queryFallbackTable() { return [{ id: 1, data: 'fallback' }]; };
+    const query = fallback(queryPrimary, queryFallbackTable);
+    console.log('fallback result =', await query('SELECT * FROM ERROR')); // [{ id: 1, data: 'fallback' }]
+
+    // Stacked: retry through the breaker, then serve a cached value
+    const cachedUser = async (userId) => ({ id: userId, name: 'cached' });
+    const resilientGetUser = fallback(retry(new CircuitBreaker(flakyFetchUser(10), { clock }).fire, { retries: 1, clock }), cachedUser);
+    const stacked = resilientGetUser(7);
+    await clock.advance(1000);
+    console.log('stacked =', await stacked); // { id: 7, name: 'cached' }
+  })();
+}
+
+// Export utilities for reuse
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { retry, backoffDelay, sleep: delay, CircuitBreaker, fallback, RetryError, CircuitOpenError };
+}
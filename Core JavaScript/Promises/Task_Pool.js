@@ -0,0 +1,192 @@
+// Task pool: running async work with a concurrency limit
+// --------------------------------------------------------------------
+// Await_Function.js (loopConcurrency) shows the two extremes:
+//   for (const item of items) await work(item)      one at a time, slow
+//   await Promise.all(items.map(work))              everything at once
+// Everything at once overwhelms rate-limited APIs, database pools and file
+// handles when the list is long. The helpers here keep at most `n` tasks running:
+//
+//   pLimit(n)                         limit(fn, ...args) -> promise; queues beyond n
+//   pMap(items, fn, { concurrency })  like Promise.all(items.map(fn)) but bounded
+//   new TaskQueue({ concurrency })    priorities, pause()/resume(), onIdle()
+//
+// Results always come back in input order, however the tasks finish.
+
+// TaskQueue
+// add(fn, { priority }) runs fn() when a slot is free and resolves/rejects with its
+// result. Waiting tasks start highest priority first (default 0), and in the order
+// they were added when priorities tie. pause() stops starting new tasks (running
+// ones finish); resume() continues. onIdle() resolves once nothing is running or
+// waiting.
+class TaskQueue {
+  constructor({ concurrency = Infinity, paused = false } = {}) {
+    if (!(concurrency >= 1)) throw new RangeError('concurrency must be at least 1');
+    this.concurrency = concurrency;
+    this.paused = paused;
+    this.waiting = []; // sorted: highest priority first, FIFO within a priority
+    this.running = 0;
+    this.idleWaiters = [];
+  }
+
+  get size() {
+    return this.waiting.length;
+  }
+
+  get pending() {
+    return this.running;
+  }
+
+  add(fn, { priority = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      const task = { fn, priority, resolve, reject };
+      let index = this.waiting.findIndex(other => other.priority < priority);
+      if (index === -1) index = this.waiting.length;
+      this.waiting.splice(index, 0, task);
+      this.next();
+    });
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this.next();
+  }
+
+  onIdle() {
+    if (this.running === 0 && this.waiting.length === 0) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  next() {
+    while (!this.paused && this.running < this.concurrency && this.waiting.length > 0) {
+      const { fn, resolve, reject } = this.waiting.shift();
+      this.running++;
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          this.running--;
+          this.next();
+        });
+    }
+    if (this.running === 0 && this.waiting.length === 0) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+}
+
+// pLimit(n): a function that runs at most n of the calls passed to it at once
+//   const limit = pLimit(2);
+//   await Promise.all(urls.map(url => limit(fetch, url)));
+function pLimit(concurrency) {
+  const queue = new TaskQueue({ concurrency });
+  const limit = (fn, ...args) => queue.add(() => fn(...args));
+  Object.defineProperties(limit, {
+    activeCount: { get: () => queue.pending },
+    pendingCount: { get: () => queue.size }
+  });
+  return limit;
+}
+
+// pMap(items, fn, { concurrency, stopOnError }): calls fn(item, index) for every item
+// with at most `concurrency` calls in flight, resolving with results in input order.
+// stopOnError: true  rejects with the first error and starts no new items
+// stopOnError: false runs every item, then rejects with an AggregateError of all
+//                    errors if any failed
+// A bad concurrency rejects the returned promise rather than throwing, so callers
+// only need .catch()/try-await, as with Promise.all
+function pMap(items, fn, { concurrency = Infinity, stopOnError = true } = {}) {
+  if (!(concurrency >= 1)) return Promise.reject(new RangeError('concurrency must be at least 1'));
+  const list = Array.from(items);
+  const results = new Array(list.length);
+  const errors = [];
+  let nextIndex = 0;
+  let stopped = false;
+
+  return new Promise((resolve, reject) => {
+    async function worker() {
+      while (!stopped && nextIndex < list.length) {
+        const index = nextIndex++;
+        try {
+          results[index] = await fn(list[index], index);
+        } catch (err) {
+          if (stopOnError) {
+            stopped = true;
+            reject(err);
+            return;
+          }
+          errors.push(err);
+        }
+      }
+    }
+
+    const workers = Array.from({ length: Math.min(concurrency, list.length) }, worker);
+    Promise.all(workers).then(() => {
+      if (stopped) return;
+      if (errors.length > 0) reject(new AggregateError(errors, `${errors.length} of ${list.length} items failed`));
+      else resolve(results);
+    });
+  });
+}
+
+// Run demos when invoked directly via node
+if (typeof require !== 'undefined' && require.main === module) {
+  const { delay } = require('./Virtual_Clock');
+
+  (async () => {
+    // pMap: 6 items averaging 50ms, 2 at a time, take ~150ms (sequential ~300ms)
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const processItem = async (item) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await delay(item % 2 === 0 ? 30 : 70); // uneven durations: finishing order differs
+      inFlight--;
+      return `processed:${item}`;
+    };
+    const start = Date.now();
+    const results = await pMap([1, 2, 3, 4, 5, 6], processItem, { concurrency: 2 });
+    console.log('pMap results =', results, 'max in flight =', maxInFlight, `~${Date.now() - start}ms`); // in input order, max 2
+
+    // stopOnError
+    const failSome = async (n) => {
+      await delay(10);
+      if (n === 3 || n === 5) throw new Error(`item ${n} failed`);
+      return n;
+    };
+    console.log('stopOnError: true  ->', await pMap([1, 2, 3, 4, 5], failSome, { concurrency: 2 }).catch(err => err.message)); // item 3 failed
+    const aggregate = await pMap([1, 2, 3, 4, 5], failSome, { concurrency: 2, stopOnError: false }).catch(err => err);
+    console.log('stopOnError: false ->', aggregate.message, aggregate.errors.map(err => err.message)); // 2 of 5 items failed [...]
+    console.log('concurrency: 0      ->', await pMap([1], failSome, { concurrency: 0 }).catch(err => `${err.name}: ${err.message}`)); // RangeError: concurrency must be at least 1
+
+    // pLimit: wrap individual calls instead of a whole list
+    const limit = pLimit(1);
+    const order = [];
+    await Promise.all(['a', 'b', 'c'].map(id => limit(async (x) => { order.push(`start ${x}`); await delay(5); order.push(`end ${x}`); }, id)));
+    console.log('pLimit(1) order =', order); // start a, end a, start b, end b, start c, end c
+
+    // TaskQueue: tasks queued while paused start by priority once resumed
+    const queue = new TaskQueue({ concurrency: 1, paused: true });
+    const started = [];
+    const job = (name, ms) => async () => { started.push(name); await delay(ms); return name; };
+    const done = [
+      queue.add(job('low', 10), { priority: 0 }),
+      queue.add(job('urgent', 10), { priority: 10 }),
+      queue.add(job('normal-1', 10), { priority: 5 }),
+      queue.add(job('normal-2', 10), { priority: 5 })
+    ];
+    console.log('queued while paused =', queue.size, 'running =', queue.pending); // 4 0
+    queue.resume();
+    await queue.onIdle();
+    console.log('start order =', started); // ['urgent', 'normal-1', 'normal-2', 'low']
+    console.log('results (input order) =', await Promise.all(done)); // ['low', 'urgent', 'normal-1', 'normal-2']
+  })();
+}
+
+// Export utilities for reuse
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TaskQueue, pLimit, pMap };
+}
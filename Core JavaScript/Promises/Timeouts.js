@@ -0,0 +1,221 @@
+// Timeouts, deadlines and races that clean up after themselves
+// --------------------------------------------------------------------
+// Promise.race([work, timer]) picks a winner but leaves everything else running:
+// the timer keeps the process alive after the work finishes, and losing requests
+// keep using sockets and CPU after nobody wants their result. getAllData in
+// Resource Management/Error_Handling.js only aborts its requests when one fails.
+// The helpers here always tidy up before they settle:
+//
+//   withTimeout(promise, ms, { signal, message })  reject with TimeoutError after ms
+//   deadline(fn, ms)                               run fn({ signal }); abort it after ms
+//   raceSettled(tasks, { ms })                     first task to settle wins; the rest
+//                                                  are aborted
+//
+// Every timer is cleared and every abort listener removed once the result is known.
+// `ms` must be a finite number of milliseconds (0 or more); anything else throws a
+// RangeError, since setTimeout would treat undefined or Infinity as "fire now".
+// Tasks and fns receive an AbortSignal and are expected to stop when it aborts
+// (fetch(url, { signal }) does). Timing goes through a `clock` option (see
+// Virtual_Clock.js), real timers by default.
+
+const { realClock } = require('./Virtual_Clock');
+
+class TimeoutError extends Error {
+  constructor(message, { timeoutMs } = {}) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+function checkMs(ms) {
+  if (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0) {
+    throw new RangeError(`ms must be a finite number of milliseconds, got ${ms}`);
+  }
+}
+
+// Rejects with a TimeoutError if `promise` has not settled within ms, or with
+// signal.reason if `signal` aborts first. The promise itself cannot be stopped (a
+// promise has no handle on the work behind it); use deadline() for work that can.
+function withTimeout(promise, ms, { signal, message, clock = realClock } = {}) {
+  checkMs(ms);
+  if (signal && signal.aborted) return Promise.reject(signal.reason);
+
+  let timer;
+  let onAbort;
+  return new Promise((resolve, reject) => {
+    timer = clock.setTimeout(
+      () => reject(new TimeoutError(message || `Timed out after ${ms}ms`, { timeoutMs: ms })),
+      ms
+    );
+    if (signal) {
+      onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    Promise.resolve(promise).then(resolve, reject);
+  }).finally(() => {
+    clock.clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  });
+}
+
+// Links a new AbortController to an optional outer signal
+function linkedController(signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) controller.abort(signal.reason);
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+  const unlink = () => { if (signal) signal.removeEventListener('abort', onAbort); };
+  return { controller, unlink };
+}
+
+// Calls fn({ signal }) and aborts that signal with a TimeoutError after ms (or when
+// the outer `signal` aborts), so the work itself stops, not just the waiting:
+//   const user = await deadline(({ signal }) => fetch(url, { signal }), 5000);
+function deadline(fn, ms, { signal, message, clock = realClock } = {}) {
+  checkMs(ms);
+  const { controller, unlink } = linkedController(signal);
+  const timeoutError = new TimeoutError(message || `Deadline of ${ms}ms exceeded`, { timeoutMs: ms });
+  const timer = clock.setTimeout(() => controller.abort(timeoutError), ms);
+
+  return withAbort(Promise.resolve().then(() => fn({ signal: controller.signal })), controller.signal)
+    .finally(() => {
+      clock.clearTimeout(timer);
+      unlink();
+    });
+}
+
+// Settles with signal.reason as soon as the signal aborts, even if `promise` ignores it
+function withAbort(promise, signal) {
+  if (signal.aborted) return Promise.reject(signal.reason);
+  let onAbort;
+  return new Promise((resolve, reject) => {
+    onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject);
+  }).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+// raceSettled(tasks, { ms, signal }): starts every task as task({ signal }) with one
+// shared signal. The first task to settle decides the result (its value, or its
+// error), and the shared signal then aborts the losers. If nothing settles within
+// ms, every task is aborted with a TimeoutError and that error is the result.
+// raceSettled settles as soon as the result is known: a loser that ignores its
+// signal may still be running, but nothing waits for it. An empty `tasks` rejects
+// with a TypeError (like Channel.js select([])), since no task could ever win.
+function raceSettled(tasks, { ms, signal, clock = realClock } = {}) {
+  if (ms !== undefined) checkMs(ms);
+  if (tasks.length === 0) return Promise.reject(new TypeError('raceSettled() needs at least one task'));
+  if (signal && signal.aborted) return Promise.reject(signal.reason);
+  const { controller, unlink } = linkedController(signal);
+  let timer;
+
+  const contenders = tasks.map(task => Promise.resolve().then(() => task({ signal: controller.signal })));
+  if (signal) {
+    contenders.push(new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    }));
+  }
+  if (ms !== undefined) {
+    contenders.push(new Promise((resolve, reject) => {
+      timer = clock.setTimeout(() => reject(new TimeoutError(`No task settled within ${ms}ms`, { timeoutMs: ms })), ms);
+    }));
+  }
+
+  const settle = (outcome) => {
+    clock.clearTimeout(timer);
+    unlink();
+    if (!controller.signal.aborted) {
+      controller.abort(outcome.status === 'rejected' ? outcome.reason : new Error('Lost the race'));
+    }
+    if (outcome.status === 'rejected') throw outcome.reason;
+    return outcome.value;
+  };
+
+  return Promise.race(contenders).then(
+    value => settle({ status: 'fulfilled', value }),
+    reason => settle({ status: 'rejected', reason })
+  );
+}
+
+// Run demos when invoked directly via node
+if (typeof require !== 'undefined' && require.main === module) {
+  const { createVirtualClock } = require('./Virtual_Clock');
+  const clock = createVirtualClock();
+  const log = [];
+
+  // A task that takes `ms` of (virtual) time and stops early when aborted
+  const task = (name, ms) => ({ signal }) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clock.clearTimeout(timer);
+      log.push(`${name} aborted @${clock.now()} (${signal.reason.name})`);
+      reject(signal.reason);
+    };
+    const timer = clock.setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      log.push(`${name} finished @${clock.now()}`);
+      resolve(name);
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  const show = (label, promise) => promise.then(
+    value => console.log(label, 'fulfilled:', value),
+    err => console.log(label, `rejected: ${err.name}: ${err.message}`)
+  );
+
+  (async () => {
+    // withTimeout: the timer is cleared as soon as the value arrives
+    const fast = show('withTimeout(fast)', withTimeout(task('fast', 50)({ signal: new AbortController().signal }), 100, { clock }));
+    await clock.advance(100);
+    await fast;
+    console.log('timers left =', clock.pendingTimers); // 0 (Promise.race would leave its timer running)
+    const slow = show('withTimeout(slow)', withTimeout(new Promise(() => {}), 100, { clock, message: 'profile took too long' }));
+    await clock.advance(100);
+    await slow; // rejected: TimeoutError: profile took too long
+
+    // deadline: the work is aborted, not just abandoned
+    const report = show('deadline', deadline(task('report', 500), 200, { clock }));
+    await clock.advance(500);
+    await report; // rejected: TimeoutError: Deadline of 200ms exceeded
+
+    // raceSettled: the fastest mirror wins, the others are aborted
+    const mirrors = show('raceSettled', raceSettled([task('mirror-a', 300), task('mirror-b', 120), task('mirror-c', 200)], { ms: 1000, clock }));
+    await clock.advance(1000);
+    await mirrors; // fulfilled: mirror-b
+
+    // ...and a TimeoutError when nobody makes it in time
+    const none = show('raceSettled (timeout)', raceSettled([task('slow-1', 800), task('slow-2', 900)], { ms: 250, clock }));
+    await clock.advance(1000);
+    await none; // rejected: TimeoutError: No task settled within 250ms
+
+    // A task that ignores its signal does not hold up the TimeoutError
+    const stubborn = show('raceSettled (stubborn)', raceSettled([() => new Promise(() => {})], { ms: 50, clock }));
+    await clock.advance(50);
+    await stubborn; // rejected: TimeoutError: No task settled within 50ms
+
+    // Bad input fails fast instead of timing out at once
+    try {
+      withTimeout(Promise.resolve(), undefined);
+    } catch (err) {
+      console.log(`${err.name}: ${err.message}`); // RangeError: ms must be a finite number of milliseconds, got undefined
+    }
+    const cancelled = new AbortController();
+    cancelled.abort(new Error('already cancelled'));
+    await show('raceSettled (no tasks)', raceSettled([])); // rejected: TypeError: raceSettled() needs at least one task
+    await show('raceSettled (aborted)', raceSettled([task('never-started', 10)], { signal: cancelled.signal, clock })); // rejected: Error: already cancelled
+
+    console.log(log);
+    // ['fast finished @50', 'report aborted @400 (TimeoutError)', 'mirror-b finished @820',
+    //  'mirror-a aborted @820 (Error)', 'mirror-c aborted @820 (Error)',
+    //  'slow-1 aborted @1950 (TimeoutError)', 'slow-2 aborted @1950 (TimeoutError)']
+    console.log('timers left =', clock.pendingTimers); // 0
+  })();
+}
+
+// Export utilities for reuse
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TimeoutError, withTimeout, deadline, raceSettled };
+}
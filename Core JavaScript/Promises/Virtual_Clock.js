@@ -0,0 +1,190 @@
+// Virtual clock: deterministic time for timer and promise examples
+// --------------------------------------------------------------------
+// Code that calls setTimeout()/Date.now() directly can only be exercised by really
+// waiting, which makes demos slow and tests flaky. The helpers in this repo that
+// depend on time (delay, wait, resolveAfter2Seconds, memoizeWithTTL, TTLStore,
+// retry, CircuitBreaker, JSClock) accept a `clock` option instead:
+//
+//   clock.now()                     current time in ms since the epoch
+//   clock.setTimeout(fn, ms)        -> id      clock.clearTimeout(id)
+//   clock.setInterval(fn, ms)       -> id      clock.clearInterval(id)
+//
+// realClock forwards to the real timers and is the default everywhere.
+// delay(ms, { value, signal, clock }) is the one promise-returning timer the other
+// files share: it resolves with `value` after ms, or rejects with signal.reason.
+// createVirtualClock() returns a clock whose time is frozen: now() only moves and
+// timers only fire when you say so:
+//
+//   clock.advance(ms)       move time forward (ms >= 0), firing due timers in order
+//   clock.runAll()          fire every pending timer, however far in the future
+//   clock.flushMicrotasks() let pending promise callbacks (.then/await) run
+//   clock.pendingTimers     number of timers waiting to fire
+//
+// advance/runAll/flushMicrotasks return promises: between timers they let promise
+// callbacks run, so `await delay(100, { clock }); await delay(100, { clock })`
+// completes within a single `await clock.advance(200)`.
+
+const realClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (id) => clearInterval(id)
+};
+
+// Resolves with `value` after ms on `clock`. Aborting `signal` clears the timer and
+// rejects with signal.reason, so a cancelled wait does not keep the process alive.
+function delay(ms, { value, signal, clock = realClock } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clock.clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = clock.setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve(value);
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// setImmediate runs after the microtask queue has been drained completely,
+// including microtasks queued by other microtasks
+const realSetImmediate = setImmediate;
+const flushMicrotasks = () => new Promise((resolve) => realSetImmediate(resolve));
+
+function createVirtualClock({ now: start = 0, loopLimit = 10000 } = {}) {
+  let now = start;
+  let nextId = 1;
+  let nextOrder = 0; // timers due at the same time fire in the order they were scheduled
+  const timers = new Map(); // id -> { at, order, fn, interval }
+
+  function schedule(fn, ms, interval) {
+    const id = nextId++;
+    const delay = Math.max(0, Number(ms) || 0);
+    timers.set(id, { at: now + delay, order: nextOrder++, fn, interval: interval ? Math.max(1, delay) : null });
+    return id;
+  }
+
+  function nextDue(limit) {
+    let due = null;
+    for (const [id, timer] of timers) {
+      if (timer.at > limit) continue;
+      if (!due || timer.at < due.timer.at || (timer.at === due.timer.at && timer.order < due.timer.order)) {
+        due = { id, timer };
+      }
+    }
+    return due;
+  }
+
+  function fire({ id, timer }) {
+    now = timer.at;
+    if (timer.interval === null) {
+      timers.delete(id);
+    } else {
+      timer.at += timer.interval;
+      timer.order = nextOrder++;
+    }
+    timer.fn();
+  }
+
+  // Fires timers due at or before `limit` until none are left
+  async function runUntil(limit) {
+    for (let fired = 0; ; fired++) {
+      await flushMicrotasks();
+      const due = nextDue(limit);
+      if (!due) return fired;
+      if (fired >= loopLimit) {
+        throw new Error(`Virtual clock fired ${loopLimit} timers without settling (runaway setInterval?)`);
+      }
+      fire(due);
+    }
+  }
+
+  return {
+    now: () => now,
+    setTimeout: (fn, ms) => schedule(fn, ms, false),
+    clearTimeout: (id) => { timers.delete(id); },
+    setInterval: (fn, ms) => schedule(fn, ms, true),
+    clearInterval: (id) => { timers.delete(id); },
+
+    get pendingTimers() {
+      return timers.size;
+    },
+
+    // Time only moves forward: a negative or NaN step would rewind now() or leave
+    // it NaN, so advance() rejects with a RangeError instead
+    async advance(ms) {
+      if (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0) {
+        throw new RangeError(`ms must be a finite number of milliseconds, got ${ms}`);
+      }
+      const target = now + ms;
+      await runUntil(target);
+      now = target;
+      await flushMicrotasks();
+      return now;
+    },
+
+    // Intervals never run out on their own; runAll() stops with an error after
+    // loopLimit timers instead of looping forever
+    async runAll() {
+      await runUntil(Infinity);
+      return now;
+    },
+
+    flushMicrotasks
+  };
+}
+
+// Run demos when invoked directly via node
+if (typeof require !== 'undefined' && require.main === module) {
+  (async () => {
+    const clock = createVirtualClock({ now: Date.UTC(2025, 0, 1) });
+    const log = [];
+    const stamp = (label) => log.push(`${label} @ +${clock.now() - Date.UTC(2025, 0, 1)}ms`);
+
+    // Frozen time: nothing moves until advance()
+    const before = clock.now();
+    await delay(5); // real 5ms pass...
+    console.log('frozen now() =', clock.now() === before); // true
+
+    (async () => {
+      stamp('start');
+      await delay(1000, { clock });
+      stamp('after first delay');
+      await delay(500, { clock });
+      stamp('after second delay');
+    })();
+    clock.setTimeout(() => stamp('timeout 1200'), 1200);
+    const ticker = clock.setInterval(() => stamp('interval'), 600);
+
+    await clock.advance(1500); // two hours of waiting would be just as fast
+    clock.clearInterval(ticker);
+    console.log(log);
+    // ['start @ +0ms', 'interval @ +600ms', 'after first delay @ +1000ms', 'timeout 1200 @ +1200ms',
+    //  'interval @ +1200ms', 'after second delay @ +1500ms']  (same time: scheduling order)
+
+    // runAll fires whatever is left, however far away
+    clock.setTimeout(() => stamp('next day'), 24 * 60 * 60 * 1000);
+    await clock.runAll();
+    console.log(log[log.length - 1], 'pending =', clock.pendingTimers); // next day @ +86401500ms pending = 0
+
+    // flushMicrotasks: promise callbacks run, time does not move
+    let settled = false;
+    Promise.resolve().then(() => Promise.resolve()).then(() => { settled = true; });
+    await clock.flushMicrotasks();
+    console.log('chained microtasks settled =', settled); // true
+
+    // Time cannot run backwards
+    const at = clock.now();
+    await clock.advance(-5).catch((err) => console.log(`advance(-5): ${err.name}: ${err.message}`));
+    // advance(-5): RangeError: ms must be a finite number of milliseconds, got -5
+    console.log('now() unchanged =', clock.now() === at); // true
+  })();
+}
+
+// Export utilities for reuse
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { realClock, delay, createVirtualClock, flushMicrotasks };
+}
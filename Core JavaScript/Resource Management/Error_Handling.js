@@ -126,6 +126,7 @@ async function getAllData(urls) {
 
   // Fetch all URLs in parallel
   // Automatically cancel any incomplete requests if any request fails
+  // (a slow request is never cancelled; see deadline() in Promises/Timeouts.js)
   const pages = await Promise.all(
     urls.map((url) =>
       fetch(url, { signal }).then((response) => {
@@ -197,6 +198,7 @@ function traditionalErrorHandling() {
 /**
  * 2. Error Recovery and Partial Cleanup
  * Handle errors gracefully and clean up only the resources that need it.
+ * (Promises/Resilience.js turns this kind of fallback into a reusable `fallback` combinator.)
  */
 
 class DatabaseConnection {
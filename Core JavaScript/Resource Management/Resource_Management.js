@@ -297,7 +297,13 @@ class MyResource {
 
 
 // Helpers: small, pragmatic scoped-disposal utilities used for demos below.
-function _disposeResourceSync(r) {
+// using()/usingAsync() accept { logger } (see Intermediate JavaScript/Closures/Logger.js);
+// disposal failures go to logger.error, acquire/dispose tracing to logger.debug.
+// The default logger prints errors only, so a failing dispose is never silent.
+const { createLogger } = require('../../Intermediate JavaScript/Closures/Logger');
+const errorLogger = createLogger({ level: 'error' });
+
+function _disposeResourceSync(r, logger = errorLogger) {
   if (r == null) return;
   try {
     if (typeof r[Symbol.dispose] === 'function') return r[Symbol.dispose]();
@@ -305,11 +311,11 @@ function _disposeResourceSync(r) {
     if (typeof r.releaseLock === 'function') return r.releaseLock();
     if (typeof r.close === 'function') return r.close();
   } catch (e) {
-    console.error('Error during disposal (sync):', e);
+    logger.error('Error during disposal (sync):', e);
   }
 }
 
-async function _disposeResourceAsync(r) {
+async function _disposeResourceAsync(r, logger = errorLogger) {
   if (r == null) return;
   try {
     if (typeof r[Symbol.asyncDispose] === 'function') { await r[Symbol.asyncDispose](); return; }
@@ -318,25 +324,29 @@ async function _disposeResourceAsync(r) {
     if (typeof r.dispose === 'function') { const res = r.dispose(); if (res && typeof res.then === 'function') await res; return; }
     if (typeof r.releaseLock === 'function') { r.releaseLock(); return; }
   } catch (e) {
-    console.error('Error during disposal (async):', e);
+    logger.error('Error during disposal (async):', e);
   }
 }
 
-function using(resourceFactory, fn) {
+function using(resourceFactory, fn, { logger = errorLogger } = {}) {
   const r = resourceFactory();
+  logger.debug('[using] acquired', r && r.constructor ? r.constructor.name : typeof r);
   try {
     return fn(r);
   } finally {
-    _disposeResourceSync(r);
+    _disposeResourceSync(r, logger);
+    logger.debug('[using] disposed');
   }
 }
 
-async function usingAsync(resourceFactory, fn) {
+async function usingAsync(resourceFactory, fn, { logger = errorLogger } = {}) {
   const r = await resourceFactory();
+  logger.debug('[usingAsync] acquired', r && r.constructor ? r.constructor.name : typeof r);
   try {
     return await fn(r);
   } finally {
-    await _disposeResourceAsync(r);
+    await _disposeResourceAsync(r, logger);
+    logger.debug('[usingAsync] disposed');
   }
 }
 
@@ -350,7 +360,7 @@ class FakeFileHandle {
 async function demoFile() {
   await usingAsync(async () => new FakeFileHandle('demo.txt'), async (fh) => {
     await fh.write('Hello from demoFile');
-  });
+  }, { logger: createLogger({ level: 'debug', prefix: '  ' }) });
 }
 
 // --- Demo: read a ReadableStream while ensuring the reader is released ---
@@ -167,18 +167,19 @@ listeners[1]();
 listeners[2]();
 
 // Example 8: Memoization (Caching Function Results)
-function createMemoizedAdd() {
-  const cache = {}; // private cache
+// The store is any Map-like cache (get/set/has/...), private to the closure
+function createMemoizedAdd({ store = new Map() } = {}) {
+  const cache = store; // private cache
   
   return function(a, b) {
     const key = `${a},${b}`;
-    if (key in cache) {
+    if (cache.has(key)) {
       console.log(`  [cache hit] ${key}`);
-      return cache[key];
+      return cache.get(key);
     }
     console.log(`  [computing] ${a} + ${b}`);
     const result = a + b;
-    cache[key] = result;
+    cache.set(key, result);
     return result;
   };
 }
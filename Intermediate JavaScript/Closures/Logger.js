@@ -0,0 +1,98 @@
+// Logger
+// ------
+// A small leveled logger built from closures. Library-style helpers (memoizers,
+// middleware, resource helpers) take a `logger` option instead of calling
+// console.log directly, so callers decide what gets printed:
+// - silentLogger: the default, prints nothing (safe for production and tests)
+// - createLogger({ level: 'debug' }): debug mode, prints everything
+// - createCaptureLogger(): records messages in memory so tests can assert on them
+//
+// Every logger has the same shape: { level, debug(), info(), warn(), error() }
+
+const { inspect } = require('node:util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Strings are written as they are; anything else goes through util.inspect, which
+// prints Errors with their stack and never throws (BigInt, cyclic objects)
+function formatArgs(args) {
+  return args.map(arg => (typeof arg === 'string' ? arg : inspect(arg, { depth: 4, breakLength: Infinity }))).join(' ');
+}
+
+// level  - minimum level that is written ('debug' | 'info' | 'warn' | 'error' | 'silent')
+// sink   - where messages go; any object with debug/info/warn/error methods (default: console)
+// prefix - prepended to every message, e.g. '  ' to indent demo output
+function createLogger({ level = 'info', sink = console, prefix = '' } = {}) {
+  if (!(level in LEVELS)) {
+    throw new TypeError(`Unknown log level: ${level}`);
+  }
+  const threshold = LEVELS[level];
+  const write = (name) => (...args) => {
+    if (LEVELS[name] < threshold) return;
+    sink[name](prefix + formatArgs(args));
+  };
+
+  return {
+    level,
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error')
+  };
+}
+
+const silentLogger = createLogger({ level: 'silent' });
+
+// Records every message instead of printing it:
+//   logger.records            -> [{ level, message }, ...]
+//   logger.messages('debug')  -> ['[cache hit] [1]', ...]
+//   logger.clear()
+function createCaptureLogger({ level = 'debug' } = {}) {
+  const records = [];
+  const sink = {};
+  for (const name of ['debug', 'info', 'warn', 'error']) {
+    sink[name] = (message) => records.push({ level: name, message });
+  }
+
+  return {
+    ...createLogger({ level, sink }),
+    records,
+    messages(levelName) {
+      return records
+        .filter(record => levelName === undefined || record.level === levelName)
+        .map(record => record.message);
+    },
+    clear() {
+      records.length = 0;
+    }
+  };
+}
+
+// Run demos when invoked directly via node
+if (typeof require !== 'undefined' && require.main === module) {
+  const debugLogger = createLogger({ level: 'debug', prefix: '  ' });
+  debugLogger.debug('[debug] visible in debug mode');
+
+  const infoLogger = createLogger({ level: 'info' });
+  infoLogger.debug('hidden: below the info level');
+  infoLogger.info('info message', { ready: true }); // info message { ready: true }
+
+  silentLogger.error('never printed');
+
+  // Values JSON.stringify chokes on are still logged
+  const cyclic = { id: 1n };
+  cyclic.self = cyclic;
+  infoLogger.info('odd values:', cyclic); // odd values: <ref *1> { id: 1n, self: [Circular *1] }
+  infoLogger.error('failed:', new Error('disk full')); // failed: Error: disk full, followed by the stack
+
+  const capture = createCaptureLogger();
+  capture.debug('[computing] square(3)');
+  capture.warn('cache nearly full');
+  console.log('captured:', capture.records);
+  console.log('captured debug messages:', capture.messages('debug')); // ['[computing] square(3)']
+}
+
+// Export utilities for reuse
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LEVELS, createLogger, createCaptureLogger, silentLogger };
+}
@@ -11,219 +11,703 @@
 // arguments, the cached result is returned instead of recomputing it.
 // This is particularly useful for pure functions (functions with no side effects).
 
-// Example 1: Basic Memoization with Closure
-function memoize(fn) {
-  const cache = {};
-  return function(...args) {
-    const key = JSON.stringify(args);
-    if (key in cache) {
-      console.log(`  [cache hit] ${key}`);
-      return cache[key];
+// The memoizers below are silent by default; pass a logger (see Logger.js) to see
+// [cache hit] / [computing] messages. The demos in this file use a debug logger.
+const { inspect } = require('node:util');
+const { silentLogger } = require('./Logger');
+const { realClock } = require('../../Core JavaScript/Promises/Virtual_Clock');
+
+// LRU Cache
+// ---------
+// A Map iterates in insertion order, so deleting and re-inserting a key moves it
+// to the "most recently used" end in O(1), and the first key is always the least
+// recently used one. get() promotes an entry; peek() reads it without promoting.
+class LRUCache {
+  constructor({ maxSize = Infinity, onEvict } = {}) {
+    this.maxSize = maxSize;
+    this.onEvict = onEvict;
+    this.map = new Map();
+  }
+
+  get size() {
+    return this.map.size;
+  }
+
+  has(key) {
+    return this.map.has(key);
+  }
+
+  get(key) {
+    if (!this.map.has(key)) return undefined;
+    const value = this.map.get(key);
+    this.map.delete(key);
+    this.map.set(key, value);
+    return value;
+  }
+
+  peek(key) {
+    return this.map.get(key);
+  }
+
+  set(key, value) {
+    this.map.delete(key);
+    this.map.set(key, value);
+    while (this.map.size > this.maxSize) {
+      const [oldestKey, oldestValue] = this.map.entries().next().value;
+      this.map.delete(oldestKey);
+      if (this.onEvict) this.onEvict(oldestKey, oldestValue);
     }
-    console.log(`  [computing] ${fn.name}(${args.join(', ')})`);
-    const result = fn(...args);
-    cache[key] = result;
-    return result;
-  };
+    return this;
+  }
+
+  delete(key) {
+    return this.map.delete(key);
+  }
+
+  clear() {
+    this.map.clear();
+  }
+
+  entries() {
+    return this.map.entries();
+  }
 }
 
-// Expensive function: factorial
-function factorial(n) {
-  if (n < 0) return undefined;
-  if (n === 0 || n === 1) return 1;
-  return n * factorial(n - 1);
+// Cache Stores
+// ------------
+// memoize() only talks to its cache through a small CacheStore contract, so any
+// object with these members can back it (pass it as the `store` option):
+//   get(key), set(key, value), has(key), delete(key), clear(), size, entries()
+// A plain Map already satisfies the contract and is the simplest in-memory store;
+// LRUCache above is the bounded one. TTLStore and FileStore follow.
+
+// Entries expire ttlMs after they were set; expired entries are never returned.
+// `clock` supplies now() (see Virtual_Clock.js)
+class TTLStore {
+  constructor({ ttlMs = Infinity, clock = realClock } = {}) {
+    this.ttlMs = ttlMs;
+    this.clock = clock;
+    this.map = new Map(); // key -> { value, expiresAt }
+  }
+
+  prune() {
+    const now = this.clock.now();
+    for (const [key, { expiresAt }] of this.map) {
+      if (expiresAt <= now) this.map.delete(key);
+    }
+  }
+
+  get size() {
+    this.prune();
+    return this.map.size;
+  }
+
+  has(key) {
+    const item = this.map.get(key);
+    if (item && item.expiresAt <= this.clock.now()) this.map.delete(key);
+    return this.map.has(key);
+  }
+
+  get(key) {
+    return this.has(key) ? this.map.get(key).value : undefined;
+  }
+
+  set(key, value) {
+    this.map.set(key, { value, expiresAt: this.clock.now() + this.ttlMs });
+    return this;
+  }
+
+  delete(key) {
+    return this.map.delete(key);
+  }
+
+  clear() {
+    this.map.clear();
+  }
+
+  *entries() {
+    this.prune();
+    for (const [key, { value }] of this.map) yield [key, value];
+  }
 }
 
-const memoFactorial = memoize(factorial);
-console.log('Basic Memoization:');
-console.log('factorial(5):', memoFactorial(5)); // computing
-console.log('factorial(5):', memoFactorial(5)); // cache hit
-console.log('factorial(6):', memoFactorial(6)); // computing (needs 6)
-console.log('factorial(6):', memoFactorial(6)); // cache hit
+// Keeps entries in memory and rewrites a JSON file on every change, so the cache
+// is still there after a restart. Values must be JSON-serializable (so this store
+// is not meant for memoized functions that return Promises). A file that cannot be
+// parsed (e.g. truncated by a crash) is ignored and the store starts empty.
+class FileStore {
+  constructor(filePath) {
+    const fs = require('fs');
+    this.filePath = filePath;
+    this.map = new Map();
+    if (!fs.existsSync(filePath)) return;
+    try {
+      this.map = new Map(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+    }
+  }
+
+  flush() {
+    const fs = require('fs');
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify([...this.map]));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  get size() {
+    return this.map.size;
+  }
+
+  has(key) {
+    return this.map.has(key);
+  }
+
+  get(key) {
+    return this.map.get(key);
+  }
+
+  set(key, value) {
+    this.map.set(key, value);
+    this.flush();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = this.map.delete(key);
+    if (deleted) this.flush();
+    return deleted;
+  }
+
+  clear() {
+    this.map.clear();
+    this.flush();
+  }
 
-// Example 2: Memoization with Multiple Arguments
-function add(a, b) {
-  return a + b;
+  entries() {
+    return this.map.entries();
+  }
 }
 
-const memoAdd = memoize(add);
-console.log('\nMemoization with multiple args:');
-console.log('add(2, 3):', memoAdd(2, 3)); // computing
-console.log('add(2, 3):', memoAdd(2, 3)); // cache hit
-console.log('add(3, 2):', memoAdd(3, 2)); // computing (different order = different key)
-
-// Example 3: Fibonacci - Classic Use Case
-// Without memoization, fibonacci has exponential time complexity O(2^n)
-function fibonacci(n) {
-  if (n <= 1) return n;
-  return fibonacci(n - 1) + fibonacci(n - 2);
+// Structural Cache Keys
+// ---------------------
+// JSON.stringify(args) is a poor cache key: undefined and null both become null,
+// cycles throw, Maps/Sets serialize as {}, and {a,b} differs from {b,a}.
+// hashKey() builds a stable string from the structure of a value instead:
+// - primitives are tagged so 1, "1", 1n, null and undefined never collide
+// - object keys (including symbol keys) and Map/Set entries are sorted
+// - Dates, RegExps, boxed primitives (new Number(1)), typed arrays and ArrayBuffers
+//   hash by their contents
+// - objects with a toJSON() method (URL, ...) hash by what it returns
+// - array holes get their own token, so [,1] and [undefined, 1] differ
+// - functions, unregistered symbols and class instances that keep their state out
+//   of sight (Promise, Error, #private fields) hash by identity
+// - a cycle becomes [Circular~n], where n is the depth of the object it points back to
+const identityIds = new WeakMap(); // functions and opaque objects -> id
+const symbolIds = new Map();       // unregistered symbols -> id (kept for the process lifetime)
+let nextIdentityId = 0;
+
+function identityId(value) {
+  const ids = typeof value === 'symbol' ? symbolIds : identityIds;
+  if (!ids.has(value)) ids.set(value, ++nextIdentityId);
+  return ids.get(value);
 }
 
-const memoFib = memoize(fibonacci);
-console.log('\nFibonacci with memoization:');
-console.log('fib(10):', memoFib(10)); // computing many calls
-console.log('fib(11):', memoFib(11)); // computing fib(11), but fib(10) cached
-console.log('fib(10):', memoFib(10)); // cache hit
+function bytesOf(view) {
+  return Array.prototype.join.call(new Uint8Array(view.buffer || view, view.byteOffset || 0, view.byteLength), ',');
+}
 
-// Example 4: Memoization with Custom Cache Key
-// For complex objects, JSON.stringify may not work well
-function memoizeWithCustomKey(fn, keyGenerator) {
-  const cache = {};
-  return function(...args) {
-    const key = keyGenerator(...args);
-    if (key in cache) {
-      console.log(`  [cache hit] key: ${key}`);
-      return cache[key];
+function hashKey(value, ancestors = []) {
+  switch (typeof value) {
+    case 'undefined': return 'undefined';
+    case 'boolean': return String(value);
+    case 'number': return Object.is(value, -0) ? '-0' : String(value);
+    case 'bigint': return `${value}n`;
+    case 'string': return JSON.stringify(value);
+    case 'symbol': {
+      const registered = Symbol.keyFor(value);
+      return registered !== undefined
+        ? `Symbol.for(${JSON.stringify(registered)})`
+        : `Symbol(${value.description || ''})#${identityId(value)}`;
     }
-    console.log(`  [computing] ${fn.name} with key: ${key}`);
-    const result = fn(...args);
-    cache[key] = result;
-    return result;
-  };
-}
+    case 'function': return `Function(${value.name})#${identityId(value)}`;
+  }
+  if (value === null) return 'null';
 
-function getUserById(userId) {
-  // Simulate expensive database lookup
-  return { id: userId, name: `User${userId}` };
+  const depth = ancestors.indexOf(value);
+  if (depth !== -1) return `[Circular~${depth}]`;
+
+  // Boxed primitives (new Number(1), Object('a')) have no own enumerable keys to
+  // tell them apart, so they hash by the primitive they wrap
+  if (value instanceof Number || value instanceof String || value instanceof Boolean ||
+      value instanceof BigInt || value instanceof Symbol) {
+    return `${value.constructor.name}(${hashKey(value.valueOf())})`;
+  }
+  if (value instanceof Date) return `Date(${value.getTime()})`;
+  if (value instanceof RegExp) return String(value);
+  if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+    return `${value.constructor.name}<${bytesOf(value)}>`;
+  }
+
+  const path = [...ancestors, value];
+  if (Array.isArray(value)) {
+    const items = [];
+    for (let i = 0; i < value.length; i++) items.push(i in value ? hashKey(value[i], path) : '<empty>');
+    return `[${items.join(',')}]`;
+  }
+  if (value instanceof Map) {
+    const entries = [...value].map(([k, v]) => `${hashKey(k, path)}=>${hashKey(v, path)}`);
+    return `Map{${entries.sort().join(',')}}`;
+  }
+  if (value instanceof Set) {
+    return `Set{${[...value].map(item => hashKey(item, path)).sort().join(',')}}`;
+  }
+
+  // Plain objects and class instances: own enumerable string and symbol keys, sorted
+  const proto = Object.getPrototypeOf(value);
+  const plain = proto === Object.prototype || proto === null;
+  const tag = plain ? '' : (proto.constructor && proto.constructor.name) || '';
+  if (typeof value.toJSON === 'function') return `${tag}(${hashKey(value.toJSON(), path)})`;
+  const props = Reflect.ownKeys(value)
+    .filter(k => Object.prototype.propertyIsEnumerable.call(value, k))
+    .map(k => `${typeof k === 'symbol' ? `[${hashKey(k)}]` : JSON.stringify(k)}:${hashKey(value[k], path)}`);
+  // Nothing visible to compare (URL without toJSON, Promise, #private state):
+  // two such objects are only known to be equal when they are the same object
+  if (!plain && props.length === 0) return `${tag}#${identityId(value)}`;
+  return `${tag}{${props.sort().join(',')}}`;
 }
 
-const memoGetUser = memoizeWithCustomKey(getUserById, (id) => `user_${id}`);
-console.log('\nMemoization with custom key:');
-console.log('getUser(1):', memoGetUser(1)); // computing
-console.log('getUser(1):', memoGetUser(1)); // cache hit
-console.log('getUser(2):', memoGetUser(2)); // computing
+// Latency Histogram
+// -----------------
+// Counts samples into fixed millisecond buckets, so memory stays constant no
+// matter how many calls are recorded. Percentiles are reported as the upper
+// bound of the bucket they fall into. Bounds must be ascending; an Infinity
+// bucket is added for samples above the last bound if it is missing.
+class LatencyHistogram {
+  constructor(bounds = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, Infinity]) {
+    if (!bounds.every((bound, i) => typeof bound === 'number' && (i === 0 || bound > bounds[i - 1]))) {
+      throw new RangeError('LatencyHistogram bounds must be ascending numbers');
+    }
+    this.bounds = bounds[bounds.length - 1] === Infinity ? bounds : [...bounds, Infinity];
+    this.reset();
+  }
 
-// Example 5: Memoization with Time-to-Live (TTL)
-// Cache expires after a certain time
-function memoizeWithTTL(fn, ttlMs = 5000) {
-  const cache = new Map();
-  return function(...args) {
-    const key = JSON.stringify(args);
-    const cached = cache.get(key);
-    
-    if (cached && Date.now() - cached.timestamp < ttlMs) {
-      console.log(`  [cache hit] ${key}`);
-      return cached.value;
+  reset() {
+    this.counts = this.bounds.map(() => 0);
+    this.count = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = 0;
+  }
+
+  record(ms) {
+    this.counts[this.bounds.findIndex(bound => ms <= bound)]++;
+    this.count++;
+    this.sum += ms;
+    this.min = Math.min(this.min, ms);
+    this.max = Math.max(this.max, ms);
+  }
+
+  percentile(p) {
+    const rank = Math.ceil(this.count * p / 100);
+    let seen = 0;
+    for (let i = 0; i < this.bounds.length; i++) {
+      seen += this.counts[i];
+      if (seen >= rank && seen > 0) return Math.min(this.bounds[i], this.max);
     }
-    
-    console.log(`  [computing] ${fn.name}(${args.join(', ')})`);
-    const result = fn(...args);
-    cache.set(key, { value: result, timestamp: Date.now() });
-    return result;
-  };
+    return 0;
+  }
+
+  summary() {
+    return {
+      count: this.count,
+      min: this.count ? this.min : 0,
+      max: this.max,
+      mean: this.count ? this.sum / this.count : 0,
+      p50: this.percentile(50),
+      p95: this.percentile(95),
+      p99: this.percentile(99),
+      buckets: this.bounds.map((le, i) => ({ le, count: this.counts[i] }))
+    };
+  }
 }
 
-function expensiveAPI(query) {
-  return `Result for "${query}"`;
+// fn(args) as shown in [computing] / [revalidating] messages. util.inspect never
+// throws, so Symbols and null-prototype objects are printed like anything else.
+function describeCall(fn, args) {
+  const shown = args.map(arg => (typeof arg === 'string' ? arg : inspect(arg, { depth: 2, breakLength: Infinity })));
+  return `${fn.name}(${shown.join(', ')})`;
 }
 
-const memoAPI = memoizeWithTTL(expensiveAPI, 1000); // 1 second TTL
-console.log('\nMemoization with TTL (1 second):');
-console.log('api("search"):', memoAPI('search')); // computing
-console.log('api("search"):', memoAPI('search')); // cache hit
-// Wait 1.1 seconds in real world; here we just show the pattern
-setTimeout(() => {
-  console.log('api("search") after TTL:', memoAPI('search')); // recomputing
-}, 100); // Note: this timing is illustrative; real TTL would require waiting
-
-// Example 6: Memoization with Maximum Cache Size (LRU-like)
-function memoizeWithMaxSize(fn, maxSize = 10) {
-  const cache = new Map();
-  return function(...args) {
-    const key = JSON.stringify(args);
-    
-    if (cache.has(key)) {
-      console.log(`  [cache hit] ${key}`);
-      // Move to end (LRU pattern)
-      cache.delete(key);
-      cache.set(key, fn(...args));
-      return cache.get(key);
+// Example 1: One Configurable memoize()
+// Custom keys, expiry, bounded size and hit/miss stats are all options of the
+// same memoize(fn, options), so any combination of them can be used together.
+//   key     - (...args) => cache key (default: hashKey(args))
+//   ttlMs   - entries older than this are recomputed (default: Infinity)
+//   maxSize - least recently used entries are evicted past this size (default: Infinity)
+//   stats   - count hits, misses, evictions, errors and latency for .stats() (default: true)
+//   onEvict - (key, value, reason) called when an entry is evicted ('size') or expires ('expired')
+//   staleWhileRevalidate - return an expired value immediately and refresh it in the background
+//   store   - a CacheStore to keep entries in (default: an LRUCache of maxSize that
+//             reports evictions to onEvict). A custom store manages its own size, so
+//             maxSize cannot be combined with it (TypeError), and onEvict then only
+//             hears about ttlMs expiries ('expired'), not the store's own evictions
+//   logger  - receives [cache hit] / [computing] / ... debug messages (default: silentLogger)
+//   clock   - time source for ttlMs; a virtual clock (Virtual_Clock.js) makes expiry testable
+// If fn returns a Promise, the pending promise itself is cached so concurrent callers
+// share one request, and a rejected promise is removed instead of being cached forever.
+function memoize(fn, {
+  key = (...args) => hashKey(args),
+  ttlMs = Infinity,
+  maxSize = Infinity,
+  stats = true,
+  onEvict,
+  staleWhileRevalidate = false,
+  store,
+  logger = silentLogger,
+  clock = realClock
+} = {}) {
+  if (store && maxSize !== Infinity) {
+    throw new TypeError('memoize: maxSize cannot be combined with a custom store; limit the store itself');
+  }
+  const counts = { hits: 0, misses: 0, evictions: 0, expirations: 0, errors: 0 };
+  const latency = new LatencyHistogram(); // time taken by computed (missed) calls
+  const listeners = new Map(); // event type -> Set of listeners
+
+  function count(name) {
+    if (stats) counts[name]++;
+  }
+
+  // A throwing listener must not break the memoized call (or, for promises, turn
+  // into an unhandled rejection), so its error is rethrown on its own in a
+  // microtask, the way EventTarget reports listener errors
+  function emit(type, detail) {
+    const typeListeners = listeners.get(type);
+    if (!typeListeners) return;
+    for (const listener of typeListeners) {
+      try {
+        listener({ type, ...detail });
+      } catch (err) {
+        queueMicrotask(() => {
+          throw err;
+        });
+      }
     }
-    
-    console.log(`  [computing] ${fn.name}(${args.join(', ')})`);
-    const result = fn(...args);
-    cache.set(key, result);
-    
-    // Remove oldest entry if cache exceeds max size
-    if (cache.size > maxSize) {
-      const firstKey = cache.keys().next().value;
-      cache.delete(firstKey);
-      console.log(`  [evicted] ${firstKey}`);
+  }
+
+  function evicted(cacheKey, entry, reason) {
+    logger.debug(`[${reason === 'expired' ? 'expired' : 'evicted'}] ${cacheKey}`);
+    count(reason === 'expired' ? 'expirations' : 'evictions');
+    emit(reason === 'expired' ? 'expire' : 'evict', { key: cacheKey, reason });
+    if (onEvict) onEvict(cacheKey, entry.value, reason);
+  }
+
+  // key -> { value, timestamp }
+  const cache = store || new LRUCache({
+    maxSize,
+    onEvict: (cacheKey, entry) => evicted(cacheKey, entry, 'size')
+  });
+
+  function computed(cacheKey, start) {
+    const durationMs = performance.now() - start;
+    if (stats) latency.record(durationMs);
+    emit('miss', { key: cacheKey, durationMs });
+  }
+
+  function failed(cacheKey, start, error) {
+    count('errors');
+    emit('error', { key: cacheKey, error, durationMs: performance.now() - start });
+  }
+
+  // `start` is the performance.now() of the call that missed; background
+  // refreshes pass none and are not reported as misses
+  function save(cacheKey, value, start) {
+    const entry = { value, timestamp: clock.now() };
+    cache.set(cacheKey, entry); // may evict the oldest entry
+    if (!(value && typeof value.then === 'function')) {
+      if (start !== undefined) computed(cacheKey, start);
+      return;
+    }
+    value.then(
+      () => {
+        if (start !== undefined) computed(cacheKey, start);
+      },
+      (error) => {
+        if (start !== undefined) failed(cacheKey, start, error);
+        // Only drop the entry if it has not been replaced in the meantime
+        if (cache.get(cacheKey) !== entry) return;
+        cache.delete(cacheKey);
+        logger.debug(`[rejected] ${cacheKey}`);
+      }
+    );
+  }
+
+  function revalidate(cacheKey, entry, thisArg, args) {
+    entry.refreshing = true;
+    logger.debug(`[revalidating] ${describeCall(fn, args)}`);
+    let fresh;
+    Promise.resolve()
+      .then(() => (fresh = fn.apply(thisArg, args)))
+      .then(
+        () => {
+          if (cache.get(cacheKey) === entry) save(cacheKey, fresh);
+        },
+        (error) => {
+          emit('error', { key: cacheKey, error, stale: true });
+          entry.refreshing = false; // keep serving the stale value, retry on next call
+        }
+      );
+  }
+
+  function memoized(...args) {
+    const start = performance.now();
+    const cacheKey = key(...args);
+    const entry = cache.get(cacheKey); // get() also promotes the entry in an LRUCache
+    const expired = entry && clock.now() - entry.timestamp >= ttlMs;
+
+    if (expired && staleWhileRevalidate) {
+      count('hits');
+      logger.debug(`[stale] ${cacheKey}`);
+      emit('hit', { key: cacheKey, stale: true, durationMs: performance.now() - start });
+      if (!entry.refreshing) revalidate(cacheKey, entry, this, args);
+      return entry.value;
+    } else if (expired) {
+      cache.delete(cacheKey);
+      evicted(cacheKey, entry, 'expired');
+    } else if (entry) {
+      count('hits');
+      logger.debug(`[cache hit] ${cacheKey}`);
+      emit('hit', { key: cacheKey, stale: false, durationMs: performance.now() - start });
+      return entry.value;
     }
-    
-    return result;
+
+    count('misses');
+    logger.debug(`[computing] ${describeCall(fn, args)}`);
+    let value;
+    try {
+      value = fn.apply(this, args);
+    } catch (error) {
+      failed(cacheKey, start, error);
+      throw error;
+    }
+    save(cacheKey, value, start);
+    return value;
+  }
+
+  // Events: 'hit', 'miss' (once the value is computed), 'evict', 'expire', 'error'.
+  // Listeners receive { type, key, durationMs, ... }. An error thrown by a listener
+  // is reported as an uncaught exception and does not affect the call.
+  memoized.on = function(type, listener) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+    return memoized;
   };
+
+  memoized.off = function(type, listener) {
+    if (listeners.has(type)) listeners.get(type).delete(listener);
+    return memoized;
+  };
+
+  // Machine-readable numbers: hitRate is a ratio (0..1), latency is in milliseconds
+  memoized.stats = function() {
+    const total = counts.hits + counts.misses;
+    return {
+      ...counts,
+      hitRate: total > 0 ? counts.hits / total : 0,
+      size: cache.size,
+      latency: latency.summary()
+    };
+  };
+
+  memoized.clear = function() {
+    cache.clear();
+    logger.debug('[cache cleared]');
+  };
+
+  // Cached entries as plain data. Entries holding a Promise (pending or settled)
+  // are left out because a promise cannot be written to disk, so an async
+  // memoizer restored from a dump starts with an empty cache.
+  memoized.dump = function() {
+    return [...cache.entries()]
+      .filter(([, entry]) => !(entry.value && typeof entry.value.then === 'function'))
+      .map(([cacheKey, entry]) => ({ key: cacheKey, value: entry.value, timestamp: entry.timestamp }));
+  };
+
+  // Seed the cache with a previously computed value
+  memoized.prime = function(cacheKey, value, timestamp = clock.now()) {
+    cache.set(cacheKey, { value, timestamp });
+  };
+
+  return memoized;
 }
 
-function expensiveComputation(x) {
-  return x * x * x;
+// Memoizing Recursive Functions
+// memoize(fibonacci) cannot see the inner fibonacci(n - 1) calls. memoizeRecursive()
+// takes the function in "open" form - it receives the function to recurse into as a
+// parameter - and ties the knot with the memoized version, so every inner call
+// goes through the cache too (a fixed point, as in the Y combinator).
+function memoizeRecursive(makeFn, options = {}) {
+  let memoized;
+  const self = (...args) => memoized(...args);
+  memoized = memoize(makeFn(self), options);
+  return memoized;
 }
 
-const memoCompute = memoizeWithMaxSize(expensiveComputation, 3);
-console.log('\nMemoization with max cache size (3):');
-console.log('compute(1):', memoCompute(1)); // computing
-console.log('compute(2):', memoCompute(2)); // computing
-console.log('compute(3):', memoCompute(3)); // computing
-console.log('compute(4):', memoCompute(4)); // computing, evicts oldest (1)
-console.log('compute(1):', memoCompute(1)); // computing again (was evicted)
+// Example 4: Memoization with Custom Cache Key
+// The default hashKey() handles complex objects; pass a `key` option for domain keys
+function memoizeWithCustomKey(fn, keyGenerator, options = {}) {
+  return memoize(fn, { ...options, key: keyGenerator });
+}
+
+// Example 5: Memoization with Time-to-Live (TTL)
+// Cache expires after a certain time
+function memoizeWithTTL(fn, ttlMs = 5000, options = {}) {
+  return memoize(fn, { ...options, ttlMs });
+}
+
+// Example 6: Memoization with Maximum Cache Size (LRU)
+// A hit moves the entry to the most recently used end; the least recently used
+// entry is evicted once the cache grows past maxSize
+function memoizeWithMaxSize(fn, maxSize = 10, options = {}) {
+  return memoize(fn, { ...options, maxSize });
+}
 
 // Example 7: Class-Based Memoization
+// Same options as memoize(); the class just exposes them as call()/stats()/clear()
 class MemoizedFunction {
-  constructor(fn) {
+  constructor(fn, options = {}) {
     this.fn = fn;
-    this.cache = new Map();
-    this.hits = 0;
-    this.misses = 0;
+    this.options = options;
+    this.memoized = memoize(fn, options);
   }
 
   call(...args) {
-    const key = JSON.stringify(args);
-    if (this.cache.has(key)) {
-      this.hits++;
-      console.log(`  [cache hit] ${key}`);
-      return this.cache.get(key);
-    }
-    
-    this.misses++;
-    console.log(`  [computing] ${this.fn.name}(${args.join(', ')})`);
-    const result = this.fn(...args);
-    this.cache.set(key, result);
-    return result;
+    return this.memoized(...args);
   }
 
   stats() {
-    const total = this.hits + this.misses;
-    const hitRate = total > 0 ? (this.hits / total * 100).toFixed(2) : 0;
+    return this.memoized.stats();
+  }
+
+  on(type, listener) {
+    this.memoized.on(type, listener);
+    return this;
+  }
+
+  off(type, listener) {
+    this.memoized.off(type, listener);
+    return this;
+  }
+
+  clear() {
+    this.memoized.clear();
+  }
+
+  // Snapshot of the cache as JSON-safe data. Cached values must themselves be
+  // JSON-serializable; expiresAt is null for entries that never expire. Promise
+  // values are not included (see dump()).
+  serialize() {
+    const ttlMs = Number.isFinite(this.options.ttlMs) ? this.options.ttlMs : null;
     return {
-      hits: this.hits,
-      misses: this.misses,
-      hitRate: `${hitRate}%`,
-      size: this.cache.size
+      version: 1,
+      savedAt: (this.options.clock || realClock).now(),
+      ttlMs,
+      entries: this.memoized.dump().map(entry => ({
+        ...entry,
+        expiresAt: ttlMs === null ? null : entry.timestamp + ttlMs
+      }))
     };
   }
 
-  clear() {
-    this.cache.clear();
-    console.log('  [cache cleared]');
+  // Rebuild a MemoizedFunction from a snapshot, dropping entries that have expired.
+  // A null snapshot (nothing saved yet, or an unreadable file) gives an empty cache.
+  static restore(snapshot, fn, options = {}) {
+    if (!snapshot) return new MemoizedFunction(fn, options);
+    const restored = new MemoizedFunction(fn, {
+      ...(snapshot.ttlMs === null ? {} : { ttlMs: snapshot.ttlMs }),
+      ...options
+    });
+    const now = (options.clock || realClock).now();
+    for (const entry of snapshot.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) continue;
+      restored.memoized.prime(entry.key, entry.value, entry.timestamp);
+    }
+    return restored;
   }
 }
 
-function power(base, exp) {
-  return Math.pow(base, exp);
+// File-backed snapshot store, so a warm cache survives a process restart.
+// 'json' writes the whole snapshot as one document; 'ndjson' writes a header line
+// followed by one entry per line, which is easier to append to and stream.
+// Writes go to a temporary file first and are renamed into place.
+class FileSnapshotStore {
+  constructor(filePath, { format = 'json' } = {}) {
+    if (format !== 'json' && format !== 'ndjson') {
+      throw new TypeError(`Unknown snapshot format: ${format}`);
+    }
+    this.filePath = filePath;
+    this.format = format;
+  }
+
+  save(snapshot) {
+    const fs = require('fs');
+    const { entries, ...header } = snapshot;
+    const text = this.format === 'json'
+      ? JSON.stringify(snapshot)
+      : [header, ...entries].map(line => JSON.stringify(line)).join('\n') + '\n';
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, text);
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  // Returns null when there is no snapshot yet or the file cannot be parsed
+  // (e.g. truncated by a crash), so the caller starts with an empty cache
+  load() {
+    const fs = require('fs');
+    if (!fs.existsSync(this.filePath)) return null;
+    const text = fs.readFileSync(this.filePath, 'utf8');
+    try {
+      if (this.format === 'json') return JSON.parse(text);
+      const [header, ...entries] = text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+      return { ...header, entries };
+    } catch (err) {
+      if (err instanceof SyntaxError) return null;
+      throw err;
+    }
+  }
 }
 
-const memoPower = new MemoizedFunction(power);
-console.log('\nClass-based memoization with stats:');
-console.log('power(2, 10):', memoPower.call(2, 10));
-console.log('power(2, 10):', memoPower.call(2, 10));
-console.log('power(2, 11):', memoPower.call(2, 11));
-console.log('power(2, 10):', memoPower.call(2, 10));
-console.log('Stats:', memoPower.stats());
+// Example 11: WeakMap-Backed Memoization
+// Every cache above holds strong references to its arguments, so a cached object
+// can never be garbage collected. memoizeWeak() keys on argument identity instead:
+// each argument walks one level down a trie whose nodes keep object arguments in a
+// WeakMap (primitives fall back to a Map). When an argument object becomes
+// unreachable, its WeakMap entry - and every result cached below it - is collected.
+function memoizeWeak(fn) {
+  const createNode = () => ({ weak: new WeakMap(), strong: new Map(), hasResult: false, result: undefined });
+  const root = createNode();
+
+  return function(...args) {
+    let node = root;
+    for (const arg of args) {
+      const isObject = (typeof arg === 'object' && arg !== null) || typeof arg === 'function';
+      const children = isObject ? node.weak : node.strong;
+      if (!children.has(arg)) children.set(arg, createNode());
+      node = children.get(arg);
+    }
+    if (!node.hasResult) {
+      node.result = fn.apply(this, args);
+      node.hasResult = true;
+    }
+    return node.result;
+  };
+}
 
 // Why Use Memoization?
 // --------------------
 // 1. Performance: Avoid redundant, expensive computations
-// 2. Reduce API calls: Cache results from external APIs
+// 2. Reduce API calls: Cache results from external APIs (cache the Promise so
+//    concurrent callers share one request, and never cache rejections)
 // 3. Optimize recursive functions: Drastically improve time complexity (e.g., Fibonacci)
 // 4. Improve user experience: Faster response times in UI applications
 // 5. Scale efficiently: Reduce database queries and server load
@@ -233,7 +717,8 @@ console.log('Stats:', memoPower.stats());
 // -----------------------
 // - Pure functions: Only memoize functions with no side effects (same input = same output)
 // - Expensive computations: Mathematical calculations, sorting, searching
-// - Recursive functions: Especially with overlapping subproblems (dynamic programming)
+// - Recursive functions: Especially with overlapping subproblems (dynamic programming);
+//   use memoizeRecursive so inner calls hit the cache as well
 // - API calls: Cache results from network requests
 // - DOM queries: Cache element lookups
 // - Selectors/filters: Cache frequently used data transformations
@@ -251,9 +736,11 @@ console.log('Stats:', memoPower.stats());
 // ---------------
 // - Only memoize pure functions (deterministic, no side effects)
 // - Be mindful of cache size to avoid excessive memory usage
+// - Use WeakMap-backed caches (memoizeWeak) when arguments are short-lived objects
 // - Use custom key generators for complex arguments (objects, functions)
 // - Consider TTL (time-to-live) for data that changes over time
 // - Monitor cache hit/miss rates to validate effectiveness
+// - Inject a logger instead of printing from inside the memoizer
 // - Clear cache when underlying data changes
 // - Avoid memoizing functions with many unique argument combinations
 
@@ -261,7 +748,356 @@ console.log('Stats:', memoPower.stats());
 // ---------------
 // 1. Memoizing impure functions: Results change unpredictably
 // 2. Memory leaks: Unbounded cache growth; use max size or TTL
-// 3. Key collisions: Different args producing the same key (use better key generator)
+// 3. Key collisions: Different args producing the same key (JSON.stringify treats
+//    undefined as null and Maps/Sets as {}; use a structural key such as hashKey())
 // 4. Stale data: Cache not invalidated when upstream data changes
 // 5. Over-memoization: Caching overhead exceeds computation savings
 
+// Run demos when invoked directly via node
+if (typeof require !== 'undefined' && require.main === module) {
+  const { createLogger, createCaptureLogger } = require('./Logger');
+  const { createVirtualClock } = require('../../Core JavaScript/Promises/Virtual_Clock');
+  const demoLogger = createLogger({ level: 'debug', prefix: '  ' });
+
+  // Expensive function: factorial
+  function factorial(n) {
+    if (n < 0) return undefined;
+    if (n === 0 || n === 1) return 1;
+    return n * factorial(n - 1);
+  }
+
+  const memoFactorial = memoize(factorial, { logger: demoLogger });
+  console.log('Basic Memoization:');
+  console.log('factorial(5):', memoFactorial(5)); // computing
+  console.log('factorial(5):', memoFactorial(5)); // cache hit
+  console.log('factorial(6):', memoFactorial(6)); // computing (needs 6)
+  console.log('factorial(6):', memoFactorial(6)); // cache hit
+
+  // Example 2: Memoization with Multiple Arguments
+  function add(a, b) {
+    return a + b;
+  }
+
+  const memoAdd = memoize(add, { logger: demoLogger });
+  console.log('\nMemoization with multiple args:');
+  console.log('add(2, 3):', memoAdd(2, 3)); // computing
+  console.log('add(2, 3):', memoAdd(2, 3)); // cache hit
+  console.log('add(3, 2):', memoAdd(3, 2)); // computing (different order = different key)
+
+  // Example 3: Fibonacci - Classic Use Case
+  // Without memoization, fibonacci has exponential time complexity O(2^n)
+  function fibonacci(n) {
+    if (n <= 1) return n;
+    return fibonacci(n - 1) + fibonacci(n - 2);
+  }
+
+  const memoFib = memoize(fibonacci, { logger: demoLogger });
+  console.log('\nFibonacci with memoization:');
+  console.log('fib(10):', memoFib(10)); // computing many calls
+  console.log('fib(11):', memoFib(11)); // computing: fibonacci calls its un-memoized self,
+                                        // so fib(10) and below are recomputed from scratch
+  console.log('fib(10):', memoFib(10)); // cache hit (only top-level calls are cached)
+
+  let fibSteps = 0;
+  const fastFib = memoizeRecursive(fib => function fibonacci(n) {
+    fibSteps++;
+    return n <= 1 ? BigInt(n) : fib(n - 1) + fib(n - 2);
+  });
+  console.log('\nRecursive memoization:');
+  console.log('fib(90):', fastFib(90), 'computed in', fibSteps, 'steps'); // 2880067194370816120n in 91 steps
+  console.log('fib(91):', fastFib(91), 'computed in', fibSteps, 'steps'); // one more step: 92
+
+  function getUserById(userId) {
+    // Simulate expensive database lookup
+    return { id: userId, name: `User${userId}` };
+  }
+
+  const memoGetUser = memoizeWithCustomKey(getUserById, (id) => `user_${id}`, { logger: demoLogger });
+  console.log('\nMemoization with custom key:');
+  console.log('getUser(1):', memoGetUser(1)); // computing
+  console.log('getUser(1):', memoGetUser(1)); // cache hit
+  console.log('getUser(2):', memoGetUser(2)); // computing
+
+  function expensiveAPI(query) {
+    return `Result for "${query}"`;
+  }
+
+  // A virtual clock (Virtual_Clock.js) stands in for real time, so the expiry below is
+  // exact and instant instead of waiting a real second
+  const ttlClock = createVirtualClock();
+  const memoAPI = memoizeWithTTL(expensiveAPI, 1000, { logger: demoLogger, clock: ttlClock }); // 1 second TTL
+  console.log('\nMemoization with TTL (1 second):');
+  console.log('api("search"):', memoAPI('search')); // computing
+  console.log('api("search"):', memoAPI('search')); // cache hit
+  ttlClock.advance(999).then(() => {
+    console.log('api("search") at 999ms:', memoAPI('search')); // cache hit
+    return ttlClock.advance(1);
+  }).then(() => {
+    console.log('api("search") at 1000ms:', memoAPI('search')); // computing (expired)
+  });
+
+  function expensiveComputation(x) {
+    return x * x * x;
+  }
+
+  const memoCompute = memoizeWithMaxSize(expensiveComputation, 3, { logger: demoLogger });
+  console.log('\nMemoization with max cache size (3):');
+  console.log('compute(1):', memoCompute(1)); // computing
+  console.log('compute(2):', memoCompute(2)); // computing
+  console.log('compute(3):', memoCompute(3)); // computing
+  console.log('compute(4):', memoCompute(4)); // computing, evicts oldest (1)
+  console.log('compute(1):', memoCompute(1)); // computing again (was evicted)
+
+  // A cache hit only promotes the entry; it never calls the function again.
+  // Micro-benchmark: 100,000 lookups over 8 distinct inputs with room for all 8
+  // should call the function exactly 8 times.
+  let cubeCalls = 0;
+  function countedCube(x) {
+    cubeCalls++;
+    return x * x * x;
+  }
+
+  const benchCompute = memoizeWithMaxSize(countedCube, 8); // silent by default
+  const benchStart = performance.now();
+  for (let i = 0; i < 100000; i++) {
+    benchCompute(i % 8);
+  }
+  const benchMs = performance.now() - benchStart;
+  console.log('\nLRU micro-benchmark: 100000 lookups,', cubeCalls, 'calls to fn,', `${benchMs.toFixed(1)}ms`); // 8 calls to fn
+
+  // The LRUCache can also be used on its own
+  const lru = new LRUCache({
+    maxSize: 2,
+    onEvict: (key, value) => console.log(`  [evicted] ${key} -> ${value}`)
+  });
+  lru.set('a', 1).set('b', 2);
+  console.log('lru.get("a"):', lru.get('a'));   // 1, "a" is now most recently used
+  console.log('lru.peek("b"):', lru.peek('b')); // 2, peek does not promote "b"
+  lru.set('c', 3);                              // evicts "b"
+  console.log('lru keys:', [...lru.entries()].map(([key]) => key)); // ['a', 'c']
+  lru.delete('a');
+  console.log('lru.size:', lru.size);           // 1
+
+  function power(base, exp) {
+    return Math.pow(base, exp);
+  }
+
+  const memoPower = new MemoizedFunction(power, { logger: demoLogger });
+  console.log('\nClass-based memoization with stats:');
+  console.log('power(2, 10):', memoPower.call(2, 10));
+  console.log('power(2, 10):', memoPower.call(2, 10));
+  console.log('power(2, 11):', memoPower.call(2, 11));
+  console.log('power(2, 10):', memoPower.call(2, 10));
+  const { hits, misses, hitRate, size } = memoPower.stats();
+  console.log('Stats:', { hits, misses, hitRate, size }); // { hits: 2, misses: 2, hitRate: 0.5, size: 2 }
+
+  // Example 8: Combining Options
+  // An API cache usually needs both expiry (data goes stale) and a bounded size
+  // (unbounded query strings would grow the cache forever)
+  const evictions = [];
+  const memoSearch = memoize(expensiveAPI, {
+    ttlMs: 60 * 1000,
+    maxSize: 2,
+    onEvict: (key, value, reason) => evictions.push({ key, reason }),
+    logger: demoLogger
+  });
+  console.log('\nMemoization with TTL + max size (2):');
+  console.log('api("a"):', memoSearch('a')); // computing
+  console.log('api("b"):', memoSearch('b')); // computing
+  console.log('api("a"):', memoSearch('a')); // cache hit ("a" becomes most recently used)
+  console.log('api("c"):', memoSearch('c')); // computing, evicts "b" (least recently used)
+  console.log('Evictions:', evictions);      // [ { key: '["b"]', reason: 'size' } ]
+  console.log('Hit rate:', memoSearch.stats().hitRate); // 0.25
+  memoSearch.clear();
+
+  // Example 9: Memoizing Async Functions
+  // The cached value is the Promise, so callers that arrive while the request is
+  // still pending get the same promise instead of starting a second request
+  let userRequests = 0;
+  function fetchUser(id) {
+    userRequests++;
+    return new Promise((resolve, reject) => {
+      setTimeout(() => (id < 0 ? reject(new Error(`No user ${id}`)) : resolve({ id, name: `User${id}` })), 20);
+    });
+  }
+
+  const memoFetchUser = memoize(fetchUser, { ttlMs: 50, staleWhileRevalidate: true, logger: demoLogger });
+
+  async function asyncMemoizationDemo() {
+    console.log('\nAsync memoization:');
+
+    // 1) In-flight deduplication: three concurrent callers, one request
+    const users = await Promise.all([memoFetchUser(1), memoFetchUser(1), memoFetchUser(1)]);
+    console.log('users:', users.map(u => u.name), 'requests:', userRequests); // requests: 1
+
+    // 2) Rejections are not cached: the next call tries again
+    await memoFetchUser(-1).catch(err => console.log('first attempt:', err.message));
+    await memoFetchUser(-1).catch(err => console.log('second attempt:', err.message));
+    console.log('requests after two failed calls:', userRequests); // 3 (1 + 2 retries)
+
+    // 3) Stale-while-revalidate: after the TTL the old value is returned at once
+    //    while a background refresh replaces it
+    await new Promise(resolve => setTimeout(resolve, 60));
+    const stale = await memoFetchUser(1); // [stale] + [revalidating]
+    console.log('stale value served immediately:', stale.name, 'requests:', userRequests); // 4
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await memoFetchUser(1); // cache hit on the refreshed entry
+    console.log('requests after refresh:', userRequests); // still 4
+  }
+
+  asyncMemoizationDemo();
+
+  // Example 10: Structural Keys vs JSON.stringify
+  console.log('\nStructural cache keys:');
+  console.log('JSON  [undefined] vs [null]:', JSON.stringify([undefined]), JSON.stringify([null])); // both [null]
+  console.log('hash  [undefined] vs [null]:', hashKey([undefined]), hashKey([null]));               // [undefined] [null]
+  console.log('JSON  Map:', JSON.stringify(new Map([['a', 1]])));                                  // {}
+  console.log('hash  Map:', hashKey(new Map([['a', 1]])));                                          // Map{"a"=>1}
+  console.log('same key for {a,b} and {b,a}:', hashKey({ a: 1, b: 2 }) === hashKey({ b: 2, a: 1 })); // true
+  console.log('hash  mixed:', hashKey([10n, new Date(0), /ab+c/gi, new Uint8Array([1, 2]), Symbol.for('id')]));
+  const cyclic = { name: 'node' };
+  cyclic.self = cyclic;
+  console.log('hash  cycle:', hashKey(cyclic)); // {"name":"node","self":[Circular~0]}
+  console.log('hash  URL:', hashKey(new URL('https://a.example/'))); // URL("https://a.example/")
+  console.log('hash  holes:', hashKey([, 1]), hashKey([undefined, 1])); // [<empty>,1] [undefined,1]
+  console.log('Promises differ:', hashKey(Promise.resolve(1)) !== hashKey(Promise.resolve(1))); // true (identity)
+
+  function countKeys(obj) {
+    return Object.keys(obj).length;
+  }
+  const memoCountKeys = memoize(countKeys, { logger: demoLogger });
+  memoCountKeys({ a: 1, b: new Set([1, 2]) }); // computing
+  memoCountKeys({ b: new Set([2, 1]), a: 1 }); // cache hit (same structure)
+
+  function buildIndex(records, field) {
+    return new Map(records.map(record => [record[field], record]));
+  }
+
+  const memoBuildIndex = memoizeWeak(buildIndex);
+  const records = [{ id: 1 }, { id: 2 }];
+  console.log('\nWeakMap-backed memoization:');
+  console.log('same result for same array:', memoBuildIndex(records, 'id') === memoBuildIndex(records, 'id')); // true
+  console.log('new array, new result:', memoBuildIndex([...records], 'id') === memoBuildIndex(records, 'id')); // false
+
+  // Run with `node --expose-gc Memoization.js` to watch an entry being reclaimed
+  async function weakMemoizationDemo() {
+    if (typeof globalThis.gc !== 'function') {
+      console.log('(run with node --expose-gc to see cached entries reclaimed)');
+      return;
+    }
+    let tempRecords = Array.from({ length: 1000 }, (_, id) => ({ id }));
+    const cachedIndex = new WeakRef(memoBuildIndex(tempRecords, 'id'));
+    console.log('cached index alive:', cachedIndex.deref() !== undefined); // true
+
+    tempRecords = null; // the only strong reference to the argument
+    await new Promise(resolve => setTimeout(resolve, 0)); // let the WeakRef be cleared in a later turn
+    globalThis.gc();
+    console.log('cached index reclaimed after gc:', cachedIndex.deref() === undefined); // true
+  }
+
+  weakMemoizationDemo();
+
+  // Example 12: Persisting a Cache to Disk
+  // A CLI tool can save its cache on exit and restore it on the next run
+  async function persistenceDemo() {
+    const os = require('os');
+    const path = require('path');
+    const snapshotPath = path.join(os.tmpdir(), `memo-power-${process.pid}.ndjson`);
+    const snapshots = new FileSnapshotStore(snapshotPath, { format: 'ndjson' });
+
+    const firstRun = new MemoizedFunction(power, { ttlMs: 50, logger: demoLogger });
+    firstRun.call(2, 8);
+    firstRun.call(3, 3);
+    snapshots.save(firstRun.serialize());
+
+    console.log('\nCache persistence:');
+    const secondRun = MemoizedFunction.restore(snapshots.load(), power, { logger: demoLogger });
+    console.log('restored entries:', secondRun.stats().size); // 2
+    console.log('power(2, 8):', secondRun.call(2, 8));         // cache hit, no recomputation
+
+    // Entries older than their TTL are dropped while loading
+    await new Promise(resolve => setTimeout(resolve, 60));
+    const lateRun = MemoizedFunction.restore(snapshots.load(), power, { logger: demoLogger });
+    console.log('restored entries after TTL:', lateRun.stats().size); // 0
+
+    // A truncated snapshot (the process died mid-write) is ignored instead of crashing startup
+    require('fs').writeFileSync(snapshotPath, '{"version":1,"savedAt":');
+    const afterCrash = MemoizedFunction.restore(snapshots.load(), power, { logger: demoLogger });
+    console.log('restored entries from a corrupt file:', afterCrash.stats().size); // 0
+
+    require('fs').unlinkSync(snapshotPath);
+  }
+
+  persistenceDemo();
+
+  // Example 13: Pluggable Cache Stores
+  // Any CacheStore can be passed as `store`; the memoization code stays the same
+  console.log('\nPluggable cache stores:');
+  const sharedTTLStore = new TTLStore({ ttlMs: 60 * 1000 });
+  const memoCubeTTL = memoize(expensiveComputation, { store: sharedTTLStore, logger: demoLogger });
+  memoCubeTTL(5); // computing
+  memoCubeTTL(5); // cache hit
+  console.log('TTLStore size:', sharedTTLStore.size); // 1
+
+  const cubeStorePath = require('path').join(require('os').tmpdir(), `memo-cube-${process.pid}.json`);
+  const memoCubeFile = memoize(expensiveComputation, { store: new FileStore(cubeStorePath), logger: demoLogger });
+  memoCubeFile(6); // computing, written to disk
+  const reopenedCube = memoize(expensiveComputation, { store: new FileStore(cubeStorePath), logger: demoLogger });
+  console.log('compute(6) from file store:', reopenedCube(6)); // cache hit, read back from disk
+  require('fs').unlinkSync(cubeStorePath);
+
+  // A custom store only needs the contract, e.g. a Map that counts writes
+  class CountingStore extends Map {
+    constructor() {
+      super();
+      this.writes = 0;
+    }
+
+    set(key, value) {
+      this.writes++;
+      return super.set(key, value);
+    }
+  }
+  const countingStore = new CountingStore();
+  const memoCubeCounted = memoize(expensiveComputation, { store: countingStore, logger: demoLogger });
+  memoCubeCounted(7);
+  memoCubeCounted(7);
+  console.log('CountingStore writes:', countingStore.writes); // 1
+
+  // Example 14: Observing a Cache
+  // Events make hit/miss/eviction activity available to any logger or metrics
+  // system, and stats() returns plain numbers that can be charted directly
+  const cacheEvents = [];
+  const observedCube = new MemoizedFunction(expensiveComputation, { maxSize: 2, logger: demoLogger });
+  for (const type of ['hit', 'miss', 'evict', 'expire', 'error']) {
+    observedCube.on(type, event => cacheEvents.push(`${event.type} ${event.key}`));
+  }
+  console.log('\nCache observability:');
+  [1, 2, 1, 3, 2].forEach(n => observedCube.call(n));
+  console.log('Events:', cacheEvents.join(', '));
+  // miss [1], miss [2], hit [1], evict [2], miss [3], evict [1], miss [2]
+  const observedStats = observedCube.stats();
+  console.log('hits/misses/evictions:', observedStats.hits, observedStats.misses, observedStats.evictions); // 1 4 2
+  console.log('compute latency p50/p95 (ms):', observedStats.latency.p50, observedStats.latency.p95);
+
+  // Example 15: Asserting on Cache Behaviour with a Capture Logger
+  // Tests can inject a capture logger and check exactly what the memoizer did
+  const captureLogger = createCaptureLogger();
+  function square(n) {
+    return n * n;
+  }
+  const capturedSquare = memoize(square, { logger: captureLogger });
+  capturedSquare(4);
+  capturedSquare(4);
+  console.log('\nCaptured log:', captureLogger.messages('debug')); // ['[computing] square(4)', '[cache hit] [4]']
+  console.log('computed once:', captureLogger.messages().filter(m => m.startsWith('[computing]')).length === 1); // true
+}
+
+
+// Export utilities for reuse
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LRUCache, LatencyHistogram, hashKey, memoize, memoizeRecursive, memoizeWeak, memoizeWithCustomKey, memoizeWithTTL, memoizeWithMaxSize,
+    MemoizedFunction, FileSnapshotStore, TTLStore, FileStore
+  };
+}